@@ -0,0 +1,464 @@
+// functions/_lib/alerts.js
+// ACX Matrix threshold alerts (rules + per-location state + notifications)
+// Exports: validateAlertRule, listAlertRules, readAlertRule, saveAlertRule,
+//          deleteAlertRule, listAlertStates, deleteAlertStates,
+//          evaluateLocationAlerts, evaluateAllAlerts, ALERT_OPERATORS,
+//          ALERT_SEVERITIES
+//
+// Layout (Matrix store):
+//   alerts/rules/<id>                           rule definition
+//   alerts/state/<id>/<account>/<location>      { status, since, fired_at, … }
+//
+// Rule shape:
+//   id, name
+//   metric            registry metric name (_lib/metrics.js)
+//   op, threshold     e.g. "<" 99, ">" 5000
+//   duration_min      how long the breach must hold before firing (0 = at once)
+//   account           account name or "*"
+//   location          location id or "*"
+//   severity          info | warning | critical
+//   notify            email list (else the location owner_email, else
+//                     ACX_ALERT_EMAIL_TO)
+//   enabled
+//
+// State machine per (rule, account, location):
+//   ok -> pending (breach seen) -> firing (held for duration_min) -> ok
+// A notification goes out on firing and on resolved. Ingest (acx-matrix-webhook)
+// and the schedule (acx-matrix-alerts-run) can evaluate the same location at
+// once, so each notification first takes an idempotency claim on
+// (rule, account, location, status, since): only the earliest claim sends.
+// Metrics a location never reported are skipped (no silent zeros).
+// The same claim gates alert.firing / alert.resolved for outbound
+// subscriptions (_lib/subscriptions.js).
+
+import {
+  readJSON,
+  mapLimit,
+  claimIdempotency,
+  readLocationFields,
+  listAccounts,
+  listLocationSummaries,
+} from "./matrix-store.js";
+import { loadMetricRegistry } from "./metrics.js";
+import { readLocationMeta, listArchivedLocations } from "./locations.js";
+import { sendMailgunEmail, normalizeEmail, escapeHtml, footerBarHtml, FOOTER_LABEL } from "./email.js";
+import { publishMatrixEvent } from "./subscriptions.js";
+
+const RULE_PREFIX = "alerts/rules/";
+const STATE_PREFIX = "alerts/state/";
+
+export const ALERT_OPERATORS = ["<", "<=", ">", ">=", "==", "!="];
+export const ALERT_SEVERITIES = ["info", "warning", "critical"];
+
+const MAX_DURATION_MIN = 7 * 24 * 60;
+
+// Rules are read on every ingest; keep them for a short while per warm instance
+const RULES_TTL_MS = 30 * 1000;
+let rulesCache = null;
+
+const seg = (s) => encodeURIComponent(String(s || ""));
+const unseg = (s) => {
+  try {
+    return decodeURIComponent(s);
+  } catch {
+    return s;
+  }
+};
+const str = (v, max) => String(v ?? "").trim().slice(0, max);
+const rand = () => Math.random().toString(36).slice(2, 10);
+const stateKey = (id, account, location) => `${STATE_PREFIX}${seg(id)}/${seg(account)}/${seg(location)}`;
+
+const toBool = (v, d) => (v === undefined || v === null || v === "" ? d : v === true || v === "true" || v === 1 || v === "1");
+
+const cleanEmails = (list) => [
+  ...new Set(
+    (Array.isArray(list) ? list : String(list || "").split(","))
+      .map(normalizeEmail)
+      .filter(Boolean)
+  ),
+].slice(0, 10);
+
+// Returns { ok: true, rule } or { ok: false, error }. `metrics` is the loaded
+// registry; the metric must be one of its names.
+export function validateAlertRule(input, metrics = []) {
+  const raw = input && typeof input === "object" ? input : {};
+
+  const id = str(raw.id, 64).toLowerCase() || `rule_${Date.now().toString(36)}${rand().slice(0, 4)}`;
+  if (!/^[a-z0-9][a-z0-9_-]{1,63}$/.test(id)) {
+    return { ok: false, error: "id must be 2-64 chars of a-z, 0-9, _ or -" };
+  }
+
+  const metric = str(raw.metric, 40).toLowerCase();
+  if (!metrics.some((m) => m.name === metric)) {
+    return { ok: false, error: `Unknown metric "${metric}"` };
+  }
+
+  const op = str(raw.op, 2);
+  if (!ALERT_OPERATORS.includes(op)) {
+    return { ok: false, error: `op must be one of ${ALERT_OPERATORS.join(" ")}` };
+  }
+
+  const threshold = raw.threshold === "" || raw.threshold === null ? NaN : Number(raw.threshold);
+  if (!Number.isFinite(threshold)) return { ok: false, error: "threshold must be a number" };
+
+  const duration_min = raw.duration_min === undefined || raw.duration_min === "" ? 0 : Number(raw.duration_min);
+  if (!Number.isFinite(duration_min) || duration_min < 0 || duration_min > MAX_DURATION_MIN) {
+    return { ok: false, error: `duration_min must be 0-${MAX_DURATION_MIN}` };
+  }
+
+  const severity = str(raw.severity || "warning", 16).toLowerCase();
+  if (!ALERT_SEVERITIES.includes(severity)) {
+    return { ok: false, error: `severity must be one of ${ALERT_SEVERITIES.join(", ")}` };
+  }
+
+  const notifyRaw = Array.isArray(raw.notify) ? raw.notify : String(raw.notify || "").split(",");
+  const notify = cleanEmails(notifyRaw);
+  if (notify.length !== notifyRaw.map((e) => String(e || "").trim()).filter(Boolean).length) {
+    return { ok: false, error: "notify must be a list of email addresses" };
+  }
+
+  return {
+    ok: true,
+    rule: {
+      id,
+      name: str(raw.name, 120) || `${metric} ${op} ${threshold}`,
+      metric,
+      op,
+      threshold,
+      duration_min: Math.round(duration_min),
+      account: str(raw.account || "*", 80),
+      location: str(raw.location || "*", 120),
+      severity,
+      notify,
+      enabled: toBool(raw.enabled, true),
+    },
+  };
+}
+
+export async function readAlertRule(store, id) {
+  return readJSON(store, RULE_PREFIX + seg(id), null);
+}
+
+// All rules sorted by id (memoized per warm instance unless fresh=true)
+export async function listAlertRules(store, { fresh = false } = {}) {
+  if (!fresh && rulesCache && Date.now() - rulesCache.at < RULES_TTL_MS) return rulesCache.rules;
+
+  const { blobs = [] } = await store.list({ prefix: RULE_PREFIX });
+  const rules = (await Promise.all(blobs.map((b) => readJSON(store, b.key, null))))
+    .filter((r) => r && r.id)
+    .sort((a, b) => a.id.localeCompare(b.id));
+
+  rulesCache = { at: Date.now(), rules };
+  return rules;
+}
+
+export async function saveAlertRule(store, input, { updatedBy = "" } = {}) {
+  const v = validateAlertRule(input, await loadMetricRegistry(store));
+  if (!v.ok) return v;
+
+  const existing = await readAlertRule(store, v.rule.id);
+  const now = new Date().toISOString();
+  const rule = {
+    ...v.rule,
+    created_at: existing?.created_at || now,
+    updated_at: now,
+    updated_by: updatedBy || null,
+  };
+
+  await store.set(RULE_PREFIX + seg(rule.id), JSON.stringify(rule));
+  rulesCache = null;
+  return { ok: true, rule, created: !existing };
+}
+
+// Removes the rule and its per-location state
+export async function deleteAlertRule(store, id) {
+  const existing = await readAlertRule(store, id);
+  if (!existing) return { ok: false, error: "Unknown rule" };
+
+  const { blobs = [] } = await store.list({ prefix: `${STATE_PREFIX}${seg(id)}/` });
+  await mapLimit(blobs, 8, (b) => store.delete(b.key).catch(() => {}));
+  await store.delete(RULE_PREFIX + seg(id));
+  rulesCache = null;
+
+  return { ok: true, id, states_removed: blobs.length };
+}
+
+// [{ rule, account, location, status, … }] (optionally one rule / non-ok only)
+export async function listAlertStates(store, { rule, activeOnly = false } = {}) {
+  const prefix = rule ? `${STATE_PREFIX}${seg(rule)}/` : STATE_PREFIX;
+  const { blobs = [] } = await store.list({ prefix });
+
+  const out = await Promise.all(
+    blobs.map(async (b) => {
+      const [id, account, location] = b.key.slice(STATE_PREFIX.length).split("/").map(unseg);
+      const s = await readJSON(store, b.key, null);
+      return s ? { ...s, rule: id, account, location } : null;
+    })
+  );
+
+  return out
+    .filter((s) => s && (!activeOnly || s.status !== "ok"))
+    .sort((a, b) => String(b.since || "").localeCompare(String(a.since || "")));
+}
+
+// Drops every rule's state for one location (purge). Returns the count.
+export async function deleteAlertStates(store, { account, location }) {
+  const { blobs = [] } = await store.list({ prefix: STATE_PREFIX });
+  const suffix = `/${seg(account)}/${seg(location)}`;
+  const mine = blobs.filter((b) => b.key.endsWith(suffix));
+  await Promise.all(mine.map((b) => store.delete(b.key).catch(() => {})));
+  return mine.length;
+}
+
+// ---------- evaluation ----------
+const scopeMatches = (rule, account, location) =>
+  (rule.account === "*" || rule.account === account) && (rule.location === "*" || rule.location === location);
+
+function breached(value, op, threshold) {
+  switch (op) {
+    case "<":
+      return value < threshold;
+    case "<=":
+      return value <= threshold;
+    case ">":
+      return value > threshold;
+    case ">=":
+      return value >= threshold;
+    case "==":
+      return value === threshold;
+    case "!=":
+      return value !== threshold;
+    default:
+      return false;
+  }
+}
+
+// Pure: next state + which notification (if any) the change calls for
+function step(rule, prev, value, nowMs) {
+  const now = new Date(nowMs).toISOString();
+  const status = prev?.status || "ok";
+  const hit = breached(value, rule.op, rule.threshold);
+  const base = { ...(prev || {}), last_value: value, evaluated_at: now };
+
+  if (!hit) {
+    if (status === "firing") return { next: { ...base, status: "ok", resolved_at: now }, notify: "resolved" };
+    if (status === "pending") return { next: { ...base, status: "ok", since: null }, notify: null };
+    return { next: null, notify: null };
+  }
+
+  const since = status === "ok" ? now : prev.since;
+  const held = nowMs - (Date.parse(since) || nowMs) >= rule.duration_min * 60 * 1000;
+
+  if (status === "firing") return { next: { ...base }, notify: null };
+  if (held) {
+    return {
+      next: { ...base, status: "firing", since, fired_at: now, resolved_at: null },
+      notify: "firing",
+    };
+  }
+  return { next: { ...base, status: "pending", since }, notify: null };
+}
+
+function recipientsFor(rule, meta) {
+  if (rule.notify?.length) return rule.notify;
+
+  const owner = normalizeEmail(meta?.owner_email);
+  if (owner) return [owner];
+
+  return cleanEmails(process.env.ACX_ALERT_EMAIL_TO || "");
+}
+
+const SEVERITY_COLORS = { critical: "#dc2626", warning: "#f59e0b", info: "#2563eb" };
+
+function buildAlertEmail({ rule, account, location, state, kind, label }) {
+  const resolved = kind === "resolved";
+  const color = resolved ? "#16a34a" : SEVERITY_COLORS[rule.severity] || "#2563eb";
+  const badge = resolved ? "RESOLVED" : `${rule.severity.toUpperCase()} ALERT`;
+  const where = label || location;
+  const headline = resolved ? `${rule.name} resolved for ${where}` : `${rule.name} for ${where}`;
+  const statusLine = resolved
+    ? `${rule.metric} is back to ${state.last_value} (rule: ${rule.metric} ${rule.op} ${rule.threshold}).`
+    : `${rule.metric} is ${state.last_value} (rule: ${rule.metric} ${rule.op} ${rule.threshold}` +
+      `${rule.duration_min ? ` for ${rule.duration_min} min` : ""}).`;
+
+  const rows = [
+    ["Account", account],
+    ["Location", location],
+    ["Breach since", state.since || ""],
+    [resolved ? "Resolved at" : "Fired at", resolved ? state.resolved_at : state.fired_at],
+    ["Rule", rule.id],
+  ];
+
+  const html = `
+    <html>
+      <head>
+        <meta name="viewport" content="width=device-width, initial-scale=1" />
+        <meta charset="utf-8" />
+      </head>
+      <body style="margin:0; padding:0; background:#f4f6f8; font-family:-apple-system,BlinkMacSystemFont,Segoe UI,Roboto,Arial,sans-serif;">
+        <div style="padding:24px 12px;">
+          <div style="max-width:560px; margin:0 auto; background:#ffffff; border-radius:14px; box-shadow:0 6px 20px rgba(0,0,0,.06); overflow:hidden;">
+            <div style="height:6px; background:${escapeHtml(color)};"></div>
+
+            <div style="padding:26px;">
+              <div style="margin:0 0 10px 0;">
+                <span style="display:inline-block; padding:6px 10px; border-radius:999px; background:#f3f4f6; color:#111; font-size:12px; font-weight:700;">
+                  ${escapeHtml(badge)}
+                </span>
+              </div>
+
+              <h2 style="margin:0 0 14px 0; font-size:22px; font-weight:700; letter-spacing:-0.2px; line-height:1.15;">
+                ${escapeHtml(headline)}
+              </h2>
+
+              <p style="margin:0 0 20px 0; color:#555; font-size:15px; line-height:1.5;">
+                ${escapeHtml(statusLine)}
+              </p>
+
+              <table role="presentation" width="100%" cellspacing="0" cellpadding="0"
+                style="border-collapse:collapse; border:1px solid #e5e7eb; border-radius:10px;">
+                ${rows
+                  .map(
+                    ([k, v]) => `
+                <tr>
+                  <td style="padding:8px 12px; color:#6b7280; font-size:13px; width:35%;">${escapeHtml(k)}</td>
+                  <td style="padding:8px 12px; color:#111; font-size:13px; font-weight:600;">${escapeHtml(v)}</td>
+                </tr>`
+                  )
+                  .join("")}
+              </table>
+
+              ${footerBarHtml()}
+            </div>
+          </div>
+        </div>
+      </body>
+    </html>
+  `.trim();
+
+  const text = [headline, "", statusLine, "", ...rows.map(([k, v]) => `${k}: ${v ?? ""}`), "", `— ${FOOTER_LABEL}`].join(
+    "\n"
+  );
+
+  return { subject: `[ACX ${badge}] ${headline}`, html, text };
+}
+
+// Claim (rule, account, location, status, since) once, then mail every recipient
+async function notify(store, { rule, account, location, state, kind }) {
+  const claim = await claimIdempotency(
+    store,
+    ["alert", rule.id, account, location, kind, state.since || ""],
+    ""
+  );
+  if (claim.duplicate) return { sent: 0, duplicate: true };
+
+  await publishMatrixEvent(store, {
+    type: kind === "resolved" ? "alert.resolved" : "alert.firing",
+    account,
+    location,
+    data: {
+      rule: {
+        id: rule.id,
+        name: rule.name,
+        metric: rule.metric,
+        op: rule.op,
+        threshold: rule.threshold,
+        severity: rule.severity,
+      },
+      value: state.last_value,
+      since: state.since,
+      fired_at: state.fired_at || null,
+      resolved_at: state.resolved_at || null,
+    },
+  });
+
+  const meta = await readLocationMeta(store, account, location);
+  const to = recipientsFor(rule, meta);
+  if (!to.length) return { sent: 0, error: "no_recipients" };
+
+  const email = buildAlertEmail({ rule, account, location, state, kind, label: meta?.display_name });
+
+  let sent = 0;
+  const errors = [];
+  for (const addr of to) {
+    try {
+      await sendMailgunEmail({ to: addr, ...email });
+      sent++;
+    } catch (e) {
+      errors.push(e?.message || String(e));
+    }
+  }
+
+  if (errors.length) console.error("MATRIX_ALERT_NOTIFY_FAILED", { rule: rule.id, account, location, kind, errors });
+  return { sent, ...(errors.length ? { error: errors[0] } : {}) };
+}
+
+// Evaluate every enabled rule in scope for one location against its summary.
+// `fields` may be passed in when the caller already read them.
+export async function evaluateLocationAlerts(store, { account, location, nowMs = Date.now(), rules, fields } = {}) {
+  const all = rules || (await listAlertRules(store));
+  const scoped = all.filter((r) => r.enabled !== false && scopeMatches(r, account, location));
+  if (!scoped.length) return { evaluated: 0, changes: [] };
+
+  const { summary, written } = fields || (await readLocationFields(store, account, location));
+  const changes = [];
+
+  for (const rule of scoped) {
+    // never reported: the summary only holds a default 0
+    if (!written[rule.metric]) continue;
+    const value = Number(summary[rule.metric]);
+    if (summary[rule.metric] === null || !Number.isFinite(value)) continue;
+
+    const key = stateKey(rule.id, account, location);
+    const prev = await readJSON(store, key, null);
+    const { next, notify: kind } = step(rule, prev, value, nowMs);
+    if (!next) continue;
+
+    if (kind) {
+      const result = await notify(store, { rule, account, location, state: next, kind });
+      next.last_notification = { kind, at: new Date(nowMs).toISOString(), ...result };
+    }
+
+    await store.set(key, JSON.stringify(next));
+    if (next.status !== (prev?.status || "ok") || kind) {
+      changes.push({
+        rule: rule.id,
+        account,
+        location,
+        from: prev?.status || "ok",
+        to: next.status,
+        notified: kind || null,
+      });
+    }
+  }
+
+  return { evaluated: scoped.length, changes };
+}
+
+// Scheduled sweep: every live (non-archived) location of every account with a
+// rule in scope. Promotes pending breaches whose duration has elapsed.
+export async function evaluateAllAlerts(store, { nowMs = Date.now() } = {}) {
+  const rules = (await listAlertRules(store, { fresh: true })).filter((r) => r.enabled !== false);
+  if (!rules.length) return { rules: 0, locations: 0, changes: [] };
+
+  const [accounts, archived] = await Promise.all([listAccounts(store), listArchivedLocations(store)]);
+  const skip = new Set(archived.map((a) => `${a.account}\u0000${a.location}`));
+
+  const targets = [];
+  for (const { account } of accounts) {
+    if (!rules.some((r) => r.account === "*" || r.account === account)) continue;
+    for (const s of await listLocationSummaries(store, account)) {
+      const location = String(s.location || "");
+      if (!location || skip.has(`${account}\u0000${location}`)) continue;
+      if (rules.some((r) => scopeMatches(r, account, location))) targets.push({ account, location });
+    }
+  }
+
+  const results = await mapLimit(targets, 4, (t) => evaluateLocationAlerts(store, { ...t, nowMs, rules }));
+
+  return {
+    rules: rules.length,
+    locations: targets.length,
+    changes: results.flatMap((r) => r.changes),
+  };
+}
@@ -0,0 +1,148 @@
+// functions/_lib/api-keys.js
+// ACX scoped API keys + the one auth check every Matrix function uses
+// Exports: SCOPES, createApiKey, revokeApiKey, listApiKeys, authorize,
+//          hasScope, actingKeyId, ON_BEHALF_HEADER
+//
+// API keys are bearer tokens "ak_<12 hex>.<secret>", sent as
+//   Authorization: Bearer <token>   or   x-acx-key: <token>
+// Only sha256(secret) is stored, under apikeys/<id> in the Matrix store;
+// the token is shown once, at creation. Revoking keeps the record (audit).
+//
+// authorize() accepts, in order:
+//   1) an API key                     -> its scopes
+//   2) a signed / legacy secret call  -> the signing key's scopes (_lib/signature.js)
+//   3) the dashboard session cookie   -> every scope (only where allowed)
+// Missing credentials are 401, a valid credential without the scope is 403.
+//
+// key ids: API keys "ak_…", signing keys "sig:<id>", dashboard "session".
+
+import crypto from "crypto";
+import { getMatrixStore, readJSON } from "./matrix-store.js";
+import { verifyRequest } from "./signature.js";
+import { readSession } from "./session.js";
+
+export const SCOPES = ["matrix:write", "integrity:write", "matrix:read", "repull", "admin"];
+
+// Internal forwarders (signing keys only) name the caller they act for
+export const ON_BEHALF_HEADER = "x-acx-on-behalf-of";
+
+const PREFIX = "apikeys/";
+
+const sha256 = (s) => crypto.createHash("sha256").update(String(s)).digest("hex");
+
+function publicKey(rec) {
+  const { hash, ...rest } = rec || {};
+  return rest;
+}
+
+function readToken(req) {
+  const h = String(req.headers.get("authorization") || "").trim();
+  const bearer = /^bearer\s+(.+)$/i.exec(h);
+  const token = (bearer ? bearer[1] : req.headers.get("x-acx-key") || "").trim();
+  const m = /^(ak_[0-9a-f]{12})\.([A-Za-z0-9_-]{20,})$/.exec(token);
+  return m ? { id: m[1], secret: m[2] } : null;
+}
+
+// ---------- admin ----------
+export async function createApiKey(store, { name, scopes, createdBy } = {}) {
+  const cleanName = String(name || "").trim().slice(0, 60);
+  if (!cleanName) return { ok: false, error: "Missing name" };
+
+  const list = [...new Set((Array.isArray(scopes) ? scopes : String(scopes || "").split(","))
+    .map((s) => String(s || "").trim())
+    .filter(Boolean))];
+  if (!list.length) return { ok: false, error: `scopes must include one of ${SCOPES.join(", ")}` };
+
+  const unknown = list.filter((s) => !SCOPES.includes(s));
+  if (unknown.length) return { ok: false, error: `Unknown scope(s): ${unknown.join(", ")}` };
+
+  const id = `ak_${crypto.randomBytes(6).toString("hex")}`;
+  const secret = crypto.randomBytes(24).toString("base64url");
+
+  const rec = {
+    id,
+    name: cleanName,
+    scopes: list,
+    hash: sha256(secret),
+    hint: secret.slice(-4),
+    created_at: new Date().toISOString(),
+    created_by: String(createdBy || ""),
+    revoked_at: null,
+    revoked_by: null,
+  };
+  await store.set(PREFIX + id, JSON.stringify(rec));
+
+  return { ok: true, key: publicKey(rec), token: `${id}.${secret}` };
+}
+
+export async function revokeApiKey(store, id, revokedBy) {
+  const rec = await readJSON(store, PREFIX + String(id || "").trim(), null);
+  if (!rec) return { ok: false, error: "Unknown key id" };
+  if (rec.revoked_at) return { ok: true, key: publicKey(rec) };
+
+  rec.revoked_at = new Date().toISOString();
+  rec.revoked_by = String(revokedBy || "");
+  await store.set(PREFIX + rec.id, JSON.stringify(rec));
+  return { ok: true, key: publicKey(rec) };
+}
+
+export async function listApiKeys(store) {
+  const { blobs = [] } = await store.list({ prefix: PREFIX });
+  const recs = await Promise.all(blobs.map((b) => readJSON(store, b.key, null)));
+  return recs
+    .filter(Boolean)
+    .map(publicKey)
+    .sort((a, b) => String(b.created_at).localeCompare(String(a.created_at)));
+}
+
+// ---------- checks ----------
+export function hasScope(auth, scope) {
+  if (!auth?.ok) return false;
+  if (!scope || auth.scopes === null) return true;
+  return Array.isArray(auth.scopes) && auth.scopes.includes(scope);
+}
+
+const deny = (status, reason, scope) => ({ ok: false, status, reason, scope: scope || null });
+
+// `raw` is the exact request body (signatures cover it); "" for GETs.
+// `scope` may be null to authenticate only (see hasScope for per-item checks).
+export async function authorize(req, scope, { raw = "", store = null, session = false } = {}) {
+  let auth = null;
+
+  const token = readToken(req);
+  if (token) {
+    const rec = await readJSON(store || getMatrixStore(), PREFIX + token.id, null);
+    const a = Buffer.from(sha256(token.secret));
+    const b = Buffer.from(String(rec?.hash || ""));
+    if (!rec || a.length !== b.length || !crypto.timingSafeEqual(a, b)) {
+      return deny(401, "invalid_api_key");
+    }
+    if (rec.revoked_at) return deny(401, "revoked_api_key");
+    auth = { ok: true, keyId: rec.id, scopes: rec.scopes || [], via: "api_key" };
+  } else if (req.headers.get("x-acx-signature") || req.headers.get("x-acx-secret")) {
+    const v = await verifyRequest(req, raw, { store });
+    if (!v.ok) return deny(401, v.reason);
+    auth = { ok: true, keyId: `sig:${v.keyId}`, scopes: v.scopes, via: "signature", mode: v.mode };
+  } else if (session) {
+    let s = { ok: false };
+    try {
+      s = readSession(req);
+    } catch {
+      // missing ACX_SESSION_KEY: no session auth
+    }
+    if (s.ok) auth = { ok: true, keyId: "session", scopes: null, via: "session" };
+  }
+
+  if (!auth) return deny(401, "missing_credentials");
+  if (!hasScope(auth, scope)) return deny(403, "missing_scope", scope);
+  return auth;
+}
+
+// Who the write is really for: a trusted forwarder passes its caller through
+export function actingKeyId(req, auth) {
+  if (auth?.via === "signature") {
+    const onBehalf = String(req.headers.get(ON_BEHALF_HEADER) || "").trim().slice(0, 80);
+    if (onBehalf) return onBehalf;
+  }
+  return auth?.keyId || "";
+}
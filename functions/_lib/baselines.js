@@ -0,0 +1,202 @@
+// functions/_lib/baselines.js
+// ACX Matrix per-location metric baselines + anomaly flags
+// Exports: BASELINE_METRICS, pickSamples, updateBaseline, readBaseline,
+//          scoreEvent, recordAnomalies, listAnomalies, deleteBaselines
+//
+// Layout (Matrix store):
+//   baseline/<account>/<location>
+//     { metrics: { <name>: { median, mad, samples, from, to } },
+//       hours: { <YYYY-MM-DDTHH>: { <name>: [values…] } }, updated_at }
+//   anomaly/<YYYY-MM-DD>/<account>/<location>/<ms>:<rand>
+//     { key, ts, metric, value, median, mad, score, direction }
+//
+// Baselines are a rolling median / MAD over the last BASELINE_HOURS of ingest
+// values. Each hour rollup (_lib/rollups.js) keeps an evenly spaced sample of
+// that hour's values; acx-matrix-rollup folds the hours it rebuilt into the
+// baseline. It is the only writer, so the read-modify-write here is safe.
+//
+// At ingest (acx-matrix-webhook) each value is scored against the stored
+// baseline with a modified z-score, 0.6745 * (x - median) / MAD; past
+// ANOMALY_SCORE on the metric's watched side the event row gets
+//   anomaly: { <name>: { score, median, mad, direction } }
+// and an anomaly/ entry is appended (read by acx-matrix-summary). No baseline
+// is used before MIN_SAMPLES values exist.
+
+import { readJSON, eventKeyMs, mapLimit } from "./matrix-store.js";
+
+// side: which deviations count ("high" = slower / larger only)
+export const BASELINE_METRICS = [{ name: "response_ms", side: "high" }];
+
+const BASELINE_HOURS = 72;
+const SAMPLES_PER_HOUR = 24;
+const MIN_SAMPLES = 20;
+const ANOMALY_SCORE = 3.5;
+
+// Baselines only move when the rollup runs; keep them briefly per warm instance
+const CACHE_TTL_MS = 60 * 1000;
+const CACHE_MAX = 500;
+const cache = new Map();
+
+const HOUR_MS = 60 * 60 * 1000;
+
+const seg = (s) => encodeURIComponent(String(s || ""));
+const unseg = (s) => {
+  try {
+    return decodeURIComponent(s);
+  } catch {
+    return s;
+  }
+};
+const baselineKey = (account, location) => `baseline/${seg(account)}/${seg(location)}`;
+const dayOf = (ms) => new Date(ms).toISOString().slice(0, 10);
+const rand = () => Math.random().toString(36).slice(2, 10);
+const round = (n, d = 2) => Math.round(n * 10 ** d) / 10 ** d;
+
+function median(values) {
+  const v = values.slice().sort((a, b) => a - b);
+  const mid = Math.floor(v.length / 2);
+  return v.length % 2 ? v[mid] : (v[mid - 1] + v[mid]) / 2;
+}
+
+// Evenly spaced, deterministic subset (rebuilding an hour gives the same sample)
+export function pickSamples(values, max = SAMPLES_PER_HOUR) {
+  if (values.length <= max) return values.slice();
+  const step = values.length / max;
+  return Array.from({ length: max }, (_, i) => values[Math.floor(i * step)]);
+}
+
+export async function readBaseline(store, account, location) {
+  return readJSON(store, baselineKey(account, location), null);
+}
+
+// Fold freshly built hour buckets ({ bucket, samples }) into the baseline
+export async function updateBaseline(store, { account, location, buckets, now = Date.now() }) {
+  const prev = (await readBaseline(store, account, location)) || {};
+  const hours = { ...(prev.hours || {}) };
+
+  for (const b of buckets) {
+    if (b && b.samples && Object.keys(b.samples).length) hours[b.bucket] = b.samples;
+    else if (b) delete hours[b.bucket];
+  }
+
+  const cutoff = new Date(now - BASELINE_HOURS * HOUR_MS).toISOString().slice(0, 13);
+  for (const h of Object.keys(hours)) if (h < cutoff) delete hours[h];
+
+  const names = Object.keys(hours).sort();
+  const metrics = {};
+  for (const { name } of BASELINE_METRICS) {
+    const values = names.flatMap((h) => hours[h][name] || []);
+    if (!values.length) continue;
+    const m = median(values);
+    metrics[name] = {
+      median: round(m),
+      mad: round(median(values.map((v) => Math.abs(v - m)))),
+      samples: values.length,
+      from: names.find((h) => hours[h][name]?.length),
+      to: names.filter((h) => hours[h][name]?.length).pop(),
+    };
+  }
+
+  const next = { metrics, hours, updated_at: new Date(now).toISOString() };
+  await store.set(baselineKey(account, location), JSON.stringify(next));
+  return next;
+}
+
+async function cachedBaseline(store, account, location) {
+  const k = `${account}\u0000${location}`;
+  const hit = cache.get(k);
+  if (hit && Date.now() - hit.at < CACHE_TTL_MS) return hit.baseline;
+
+  const baseline = await readBaseline(store, account, location);
+  if (cache.size >= CACHE_MAX) cache.delete(cache.keys().next().value);
+  cache.set(k, { at: Date.now(), baseline });
+  return baseline;
+}
+
+// -> { <name>: { score, median, mad, direction } } or null (nothing unusual)
+export async function scoreEvent(store, { account, location, ev }) {
+  if (!location || !ev) return null;
+
+  const baseline = await cachedBaseline(store, account, location);
+  if (!baseline?.metrics) return null;
+
+  const out = {};
+  for (const { name, side } of BASELINE_METRICS) {
+    const b = baseline.metrics[name];
+    const raw = ev[name];
+    if (!b || b.samples < MIN_SAMPLES || raw === null || raw === undefined || raw === "") continue;
+
+    const value = Number(raw);
+    if (!Number.isFinite(value)) continue;
+
+    // a perfectly steady location has MAD 0: never divide by less than 5% of normal
+    const mad = Math.max(b.mad, Math.abs(b.median) * 0.05, 1);
+    const score = (0.6745 * (value - b.median)) / mad;
+    const direction = score > 0 ? "high" : "low";
+
+    if (Math.abs(score) < ANOMALY_SCORE) continue;
+    if (side !== "both" && side !== direction) continue;
+
+    out[name] = { score: round(score), median: b.median, mad: b.mad, direction };
+  }
+
+  return Object.keys(out).length ? out : null;
+}
+
+// One anomaly/ entry per flagged metric of a stored event
+export async function recordAnomalies(store, { account, location, key, ev }) {
+  const ms = eventKeyMs(key) ?? Date.now();
+  const prefix = `anomaly/${dayOf(ms)}/${seg(account)}/${seg(location)}/`;
+
+  await Promise.all(
+    Object.entries(ev?.anomaly || {}).map(([metric, a]) =>
+      store.set(
+        `${prefix}${ms}:${rand()}`,
+        JSON.stringify({ key, ts: ev.ts || new Date(ms).toISOString(), metric, value: Number(ev[metric]), ...a })
+      )
+    )
+  );
+}
+
+// One account (or "*"), flagged at or after sinceMs; items newest first
+export async function listAnomalies(store, { account = "*", sinceMs, now = Date.now(), limit = 200 } = {}) {
+  const days = [];
+  for (let t = Date.parse(`${dayOf(sinceMs)}T00:00:00.000Z`); t <= now; t += 24 * HOUR_MS) days.push(dayOf(t));
+
+  const keys = [];
+  for (const day of days) {
+    const prefix = `anomaly/${day}/${account === "*" ? "" : `${seg(account)}/`}`;
+    const { blobs = [] } = await store.list({ prefix });
+    for (const b of blobs) {
+      const [, , acct, loc, id] = b.key.split("/");
+      if (Number(id.split(":")[0]) >= sinceMs) {
+        keys.push({ key: b.key, id, account: unseg(acct), location: unseg(loc) });
+      }
+    }
+  }
+
+  // Counts come from the keys alone; only the newest `limit` entries are read
+  const counts = new Map();
+  for (const k of keys) {
+    const c = `${k.account}\u0000${k.location}`;
+    counts.set(c, { account: k.account, location: k.location, count: (counts.get(c)?.count || 0) + 1 });
+  }
+
+  keys.sort((a, b) => (a.id < b.id ? 1 : -1));
+  const rows = await mapLimit(keys.slice(0, limit), 8, async ({ key, account, location }) => {
+    const entry = await readJSON(store, key, null);
+    return entry ? { account, location, ...entry } : null;
+  });
+
+  return { total: keys.length, by_location: [...counts.values()], items: rows.filter(Boolean) };
+}
+
+// Location purge: the baseline and every anomaly entry
+export async function deleteBaselines(store, { account, location }) {
+  const { blobs = [] } = await store.list({ prefix: "anomaly/" });
+  const mine = blobs.filter((b) => b.key.includes(`/${seg(account)}/${seg(location)}/`));
+  await mapLimit(mine, 8, (b) => store.delete(b.key).catch(() => {}));
+  await store.delete(baselineKey(account, location)).catch(() => {});
+  cache.delete(`${account}\u0000${location}`);
+  return mine.length;
+}
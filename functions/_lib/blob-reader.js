@@ -0,0 +1,94 @@
+// functions/_lib/blob-reader.js
+// Per-invocation blob reads (bounded concurrency + memo) and request timings
+// Exports: createBlobReader, createTimer
+//
+// One reader per request:
+//   get(key)       JSON value or null; memoized for the life of the reader,
+//                  so concurrent gets of one key share a single read
+//   getMany(keys)  at most `concurrency` reads in flight, values in key order
+//   stats()        { reads, memo_hits, fallback_reads, sdk_errors, read_ms, wall_ms }
+//                  read_ms sums every read, wall_ms is the time with at least
+//                  one read in flight (read_ms / wall_ms ≈ achieved parallelism)
+//
+// `fallback(key)` (e.g. the summary's Blobs HTTP API path) is only used when
+// the SDK throws, never for a missing key. After the first SDK error the rest
+// of the invocation goes straight to the fallback.
+
+import { mapLimit } from "./matrix-store.js";
+
+const parse = (v) => {
+  if (v === null || v === undefined) return null;
+  if (typeof v !== "string") return v;
+  try {
+    return JSON.parse(v);
+  } catch {
+    return null;
+  }
+};
+
+export function createBlobReader(store, { concurrency = 8, fallback = null } = {}) {
+  const memo = new Map();
+  const s = { reads: 0, memo_hits: 0, fallback_reads: 0, sdk_errors: 0, read_ms: 0, wall_ms: 0 };
+  let inFlight = 0;
+  let busySince = 0;
+  let sdkDown = false;
+
+  const viaFallback = async (key) => {
+    if (!fallback) return null;
+    s.fallback_reads++;
+    return parse(await fallback(key).catch(() => null));
+  };
+
+  const read = async (key) => {
+    if (inFlight++ === 0) busySince = Date.now();
+    const t = Date.now();
+    s.reads++;
+    try {
+      if (sdkDown) return await viaFallback(key);
+      try {
+        return parse(await store.get(key));
+      } catch {
+        s.sdk_errors++;
+        sdkDown = true;
+        return await viaFallback(key);
+      }
+    } finally {
+      s.read_ms += Date.now() - t;
+      if (--inFlight === 0) s.wall_ms += Date.now() - busySince;
+    }
+  };
+
+  const get = (key) => {
+    if (memo.has(key)) {
+      s.memo_hits++;
+      return memo.get(key);
+    }
+    const p = read(key);
+    memo.set(key, p);
+    return p;
+  };
+
+  return {
+    get,
+    getMany: (keys) => mapLimit(keys, concurrency, (k) => get(k)),
+    stats: () => ({ ...s }),
+  };
+}
+
+// time(phase, fn) runs fn and adds its duration to phases[phase]
+export function createTimer() {
+  const start = Date.now();
+  const phases = {};
+
+  return {
+    async time(phase, fn) {
+      const t = Date.now();
+      try {
+        return await fn();
+      } finally {
+        phases[phase] = (phases[phase] || 0) + Date.now() - t;
+      }
+    },
+    done: () => ({ total_ms: Date.now() - start, phases: { ...phases } }),
+  };
+}
@@ -0,0 +1,335 @@
+// functions/_lib/channels.js
+// ACX chat notification channels (Slack, Microsoft Teams, generic JSON)
+// Exports: CHANNEL_TYPES, NOTIFICATION_TYPES, validateChannel, listChannels,
+//          readChannel, saveChannel, deleteChannel, publicChannel,
+//          notifyChannels, queueChannelNotification, sendQueuedNotifications,
+//          sendTestNotification, channelStore
+//
+// Stored as channels/<id> in the Matrix store:
+//   { id, name, type, url, secret, account, events, enabled, … }
+//   type      slack (incoming webhook) | teams (workflow / Adaptive Card
+//             webhook) | json (generic POST, signed when `secret` is set)
+//   account   account name or "*" (per-account routing)
+//   events    NOTIFICATION_TYPES or ["*"]
+//
+// A notification is { type, account, severity, title, text, fields, link }:
+//   severity  critical | warning | info | ok (drives the card colour)
+//   fields    [[label, value], …]
+// Senders: acx-sentinel-repair (repair sent), acx-sentinel-watchdog (critical,
+// incident confirmed) and acx-matrix-webhook (integrity change).
+//
+// Best effort: one attempt per channel with a timeout, failures are logged and
+// never fail the caller (Matrix subscriptions are the retried path).
+// Ingest never sends: it queues the notification under chanq/<ms>:<rand>
+// (queueChannelNotification) and acx-matrix-subscriptions-retry sends and
+// removes queued entries on its schedule (sendQueuedNotifications).
+
+import crypto from "crypto";
+import { getStore } from "@netlify/blobs";
+import { getMatrixStore, matrixStoreName, readJSON, mapLimit } from "./matrix-store.js";
+import { signWithSecret } from "./signature.js";
+import { FOOTER_LABEL } from "./email.js";
+
+const PREFIX = "channels/";
+const QUEUE_PREFIX = "chanq/";
+
+export const CHANNEL_TYPES = ["slack", "teams", "json"];
+export const NOTIFICATION_TYPES = [
+  "sentinel.repair_sent",
+  "sentinel.incident_confirmed",
+  "sentinel.watchdog_critical",
+  "matrix.integrity_changed",
+];
+
+const SEVERITIES = ["critical", "warning", "info", "ok"];
+const COLORS = { critical: "#dc2626", warning: "#f59e0b", info: "#2563eb", ok: "#16a34a" };
+const TEAMS_COLORS = { critical: "Attention", warning: "Warning", info: "Accent", ok: "Good" };
+
+const SEND_TIMEOUT_MS = 6000;
+const QUEUE_BATCH = 50;
+
+const seg = (s) => encodeURIComponent(String(s || ""));
+const newId = (ms = Date.now()) => `${ms}:${Math.random().toString(36).slice(2, 10)}`;
+const str = (v, max) => String(v ?? "").trim().slice(0, max);
+const toBool = (v, d) => (v === undefined || v === null || v === "" ? d : v === true || v === "true" || v === 1 || v === "1");
+
+// Lambda-style (CJS) functions get no automatic Blobs context, so they pass
+// NETLIFY_SITE_ID / NETLIFY_BLOBS_TOKEN like the Sentinel stores do
+export function channelStore() {
+  const siteID = process.env.NETLIFY_SITE_ID;
+  const token = process.env.NETLIFY_BLOBS_TOKEN;
+  return siteID && token ? getStore({ name: matrixStoreName(), siteID, token }) : getMatrixStore();
+}
+
+// Returns { ok: true, channel } or { ok: false, error }
+export function validateChannel(input) {
+  const raw = input && typeof input === "object" ? input : {};
+
+  const id = str(raw.id, 64).toLowerCase() || `ch_${crypto.randomBytes(5).toString("hex")}`;
+  if (!/^[a-z0-9][a-z0-9_-]{1,63}$/.test(id)) {
+    return { ok: false, error: "id must be 2-64 chars of a-z, 0-9, _ or -" };
+  }
+
+  const type = str(raw.type, 16).toLowerCase();
+  if (!CHANNEL_TYPES.includes(type)) return { ok: false, error: `type must be one of ${CHANNEL_TYPES.join(", ")}` };
+
+  const url = str(raw.url, 2000);
+  let parsed = null;
+  try {
+    parsed = new URL(url);
+  } catch {
+    parsed = null;
+  }
+  if (!parsed || parsed.protocol !== "https:") return { ok: false, error: "url must be an https URL" };
+
+  const events = [
+    ...new Set(
+      (Array.isArray(raw.events) ? raw.events : String(raw.events ?? "*").split(","))
+        .map((e) => String(e || "").trim())
+        .filter(Boolean)
+    ),
+  ];
+  if (!events.length) return { ok: false, error: `events must include one of ${NOTIFICATION_TYPES.join(", ")}` };
+  const unknown = events.filter((e) => e !== "*" && !NOTIFICATION_TYPES.includes(e));
+  if (unknown.length) return { ok: false, error: `Unknown notification type(s): ${unknown.join(", ")}` };
+
+  const secret = type === "json" ? str(raw.secret, 200) : "";
+  if (secret && secret.length < 16) return { ok: false, error: "secret must be at least 16 characters" };
+
+  return {
+    ok: true,
+    channel: {
+      id,
+      name: str(raw.name, 80) || id,
+      type,
+      url: parsed.toString(),
+      secret,
+      account: str(raw.account || "*", 80),
+      events: events.includes("*") ? ["*"] : events,
+      enabled: toBool(raw.enabled, true),
+    },
+  };
+}
+
+// Webhook URLs are credentials too: show the host and a hint only
+export function publicChannel(ch) {
+  const { url, secret, ...rest } = ch || {};
+  let host = "";
+  try {
+    host = new URL(url).host;
+  } catch {
+    host = "";
+  }
+  return { ...rest, url_host: host, url_hint: String(url || "").slice(-4), signed: !!secret };
+}
+
+export async function readChannel(store, id) {
+  return readJSON(store, PREFIX + seg(id), null);
+}
+
+export async function listChannels(store) {
+  const { blobs = [] } = await store.list({ prefix: PREFIX });
+  return (await Promise.all(blobs.map((b) => readJSON(store, b.key, null))))
+    .filter((c) => c && c.id)
+    .sort((a, b) => a.id.localeCompare(b.id));
+}
+
+// Fields left out of an update keep their stored values
+export async function saveChannel(store, input, { updatedBy = "" } = {}) {
+  const id = str(input?.id, 64).toLowerCase();
+  const existing = id ? await readChannel(store, id) : null;
+
+  const v = validateChannel({ ...(existing || {}), ...(input || {}) });
+  if (!v.ok) return v;
+
+  const now = new Date().toISOString();
+  const channel = {
+    ...v.channel,
+    created_at: existing?.created_at || now,
+    updated_at: now,
+    updated_by: updatedBy || null,
+  };
+
+  await store.set(PREFIX + seg(channel.id), JSON.stringify(channel));
+  return { ok: true, channel, created: !existing };
+}
+
+export async function deleteChannel(store, id) {
+  const existing = await readChannel(store, id);
+  if (!existing) return { ok: false, error: "Unknown channel" };
+  await store.delete(PREFIX + seg(id));
+  return { ok: true, id: existing.id };
+}
+
+// ---------- adapters ----------
+function normalize(n) {
+  const severity = SEVERITIES.includes(n?.severity) ? n.severity : "info";
+  return {
+    type: String(n?.type || ""),
+    account: String(n?.account || "ACX"),
+    severity,
+    title: str(n?.title, 200) || "ACX notification",
+    text: str(n?.text, 2000),
+    fields: (Array.isArray(n?.fields) ? n.fields : [])
+      .filter((f) => Array.isArray(f) && f[1] !== undefined && f[1] !== null && f[1] !== "")
+      .map(([k, v]) => [str(k, 60), str(v, 300)]),
+    link: str(n?.link, 2000),
+  };
+}
+
+function slackPayload(n) {
+  return {
+    text: n.title,
+    attachments: [
+      {
+        color: COLORS[n.severity],
+        title: n.title,
+        ...(n.link ? { title_link: n.link } : {}),
+        text: n.text,
+        fields: [["Account", n.account], ...n.fields].map(([title, value]) => ({ title, value, short: true })),
+        footer: FOOTER_LABEL,
+        ts: Math.floor(Date.now() / 1000),
+      },
+    ],
+  };
+}
+
+function teamsPayload(n) {
+  return {
+    type: "message",
+    attachments: [
+      {
+        contentType: "application/vnd.microsoft.card.adaptive",
+        content: {
+          $schema: "http://adaptivecards.io/schemas/adaptive-card.json",
+          type: "AdaptiveCard",
+          version: "1.4",
+          body: [
+            {
+              type: "TextBlock",
+              text: n.title,
+              weight: "Bolder",
+              size: "Medium",
+              color: TEAMS_COLORS[n.severity],
+              wrap: true,
+            },
+            ...(n.text ? [{ type: "TextBlock", text: n.text, wrap: true }] : []),
+            {
+              type: "FactSet",
+              facts: [["Account", n.account], ...n.fields].map(([title, value]) => ({ title, value })),
+            },
+            { type: "TextBlock", text: FOOTER_LABEL, size: "Small", isSubtle: true },
+          ],
+          ...(n.link ? { actions: [{ type: "Action.OpenUrl", title: "Open", url: n.link }] } : {}),
+        },
+      },
+    ],
+  };
+}
+
+function jsonPayload(n) {
+  return {
+    type: n.type,
+    account: n.account,
+    severity: n.severity,
+    title: n.title,
+    text: n.text,
+    fields: Object.fromEntries(n.fields),
+    link: n.link || null,
+    sent_at: new Date().toISOString(),
+  };
+}
+
+const ADAPTERS = { slack: slackPayload, teams: teamsPayload, json: jsonPayload };
+
+async function send(channel, n) {
+  const body = JSON.stringify(ADAPTERS[channel.type](n));
+  const headers = { "Content-Type": "application/json" };
+  if (channel.type === "json" && channel.secret) Object.assign(headers, signWithSecret(channel.secret, body));
+
+  try {
+    const r = await fetch(channel.url, {
+      method: "POST",
+      headers,
+      body,
+      signal: AbortSignal.timeout(SEND_TIMEOUT_MS),
+    });
+    const text = await r.text().catch(() => "");
+    return { id: channel.id, ok: r.ok, status: r.status, ...(r.ok ? {} : { error: text.slice(0, 300) }) };
+  } catch (e) {
+    return { id: channel.id, ok: false, status: 0, error: e?.message || String(e) };
+  }
+}
+
+const routes = (ch, type, account) =>
+  ch.enabled !== false &&
+  (ch.events.includes("*") || ch.events.includes(type)) &&
+  (ch.account === "*" || ch.account === account);
+
+// Send one notification to every channel routed for its type + account.
+// Never throws. -> { matched, sent, results }
+export async function notifyChannels(notification, { store = null } = {}) {
+  try {
+    const n = normalize(notification);
+    const channels = (await listChannels(store || channelStore())).filter((c) => routes(c, n.type, n.account));
+    if (!channels.length) return { matched: 0, sent: 0, results: [] };
+
+    const results = await mapLimit(channels, 4, (c) => send(c, n));
+    const failed = results.filter((r) => !r.ok);
+    if (failed.length) console.error("ACX_CHANNEL_SEND_FAILED", { type: n.type, account: n.account, failed });
+
+    return { matched: channels.length, sent: results.length - failed.length, results };
+  } catch (e) {
+    console.error("ACX_CHANNEL_NOTIFY_FAILED", { type: notification?.type, error: e?.message || String(e) });
+    return { matched: 0, sent: 0, results: [], error: e?.message || String(e) };
+  }
+}
+
+// Store the notification for the next sendQueuedNotifications run; nothing
+// is sent here. Throws on a failed write (the caller decides)
+export async function queueChannelNotification(store, notification) {
+  const id = newId();
+  await store.set(QUEUE_PREFIX + id, JSON.stringify({ id, queued_at: new Date().toISOString(), notification }));
+  return id;
+}
+
+// Scheduled: send queued notifications, oldest first. Each entry is removed
+// before it is sent, so it goes out at most once (best effort, like
+// notifyChannels). -> { due, sent, failed }
+export async function sendQueuedNotifications(store, { limit = QUEUE_BATCH } = {}) {
+  const { blobs = [] } = await store.list({ prefix: QUEUE_PREFIX });
+  const keys = blobs.map((b) => b.key).sort().slice(0, limit);
+
+  let sent = 0;
+  let failed = 0;
+  for (const key of keys) {
+    const entry = await readJSON(store, key, null);
+    await store.delete(key).catch(() => {});
+    if (!entry?.notification) continue;
+
+    const res = await notifyChannels(entry.notification, { store });
+    sent += res.sent;
+    failed += res.matched - res.sent;
+  }
+
+  return { due: keys.length, sent, failed };
+}
+
+// Test-send to one channel, whatever its routing
+export async function sendTestNotification(store, id) {
+  const channel = await readChannel(store, id);
+  if (!channel) return { ok: false, error: "Unknown channel" };
+
+  const result = await send(
+    channel,
+    normalize({
+      type: "test",
+      account: channel.account === "*" ? "ACX" : channel.account,
+      severity: "info",
+      title: "ACX test notification",
+      text: `Channel "${channel.name}" is wired up.`,
+      fields: [["Channel", channel.id], ["Type", channel.type]],
+    })
+  );
+  return { ok: true, result };
+}
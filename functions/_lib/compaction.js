@@ -0,0 +1,125 @@
+// functions/_lib/compaction.js
+// ACX Matrix retention + compaction (run by acx-matrix-compact on a schedule)
+// Exports: compactMatrix, compactionConfig
+//
+// Every live event:<ms>:<rand> older than ACX_MATRIX_COMPACT_AFTER_DAYS
+// (default 7, whole UTC days) is rolled into a per-day per-location archive
+// part (see "archives" in _lib/matrix-store.js), then the original blob and
+// its index shard entries are deleted. Listing event: directly (not the
+// index) also picks up legacy orphans that fell off index:global.
+//
+// ACX_MATRIX_RETENTION_DAYS (default 365, 0 = keep forever) is the hard
+// window: older archive days are deleted, and live events past it are
+// dropped without being archived.
+//
+// Each run also purges expired replay nonces (_lib/signature.js) and
+// idempotency claims (dedupe/, _lib/matrix-store.js).
+//
+// Work per run is capped (maxEvents) so a backlog drains over several runs
+// instead of overrunning the function timeout.
+
+import {
+  eventKeyMs,
+  mapLimit,
+  readJSON,
+  writeArchivePart,
+  removeEvent,
+  listArchiveDays,
+  purgeExpiredClaims,
+} from "./matrix-store.js";
+import { purgeExpiredNonces } from "./signature.js";
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const envDays = (name, fallback, min) => {
+  const raw = process.env[name];
+  if (raw === undefined || String(raw).trim() === "") return fallback;
+  const n = Math.floor(Number(raw));
+  return Number.isFinite(n) && n >= min ? n : fallback;
+};
+
+export function compactionConfig() {
+  return {
+    compactAfterDays: envDays("ACX_MATRIX_COMPACT_AFTER_DAYS", 7, 1),
+    retentionDays: envDays("ACX_MATRIX_RETENTION_DAYS", 365, 0),
+  };
+}
+
+const startOfUtcDay = (ms) => Math.floor(ms / DAY_MS) * DAY_MS;
+const dayOf = (ms) => new Date(ms).toISOString().slice(0, 10);
+
+const locationOf = (ev) =>
+  typeof ev?.location === "string" ? ev.location : String(ev?.location?.id || "");
+
+export async function compactMatrix(store, { now = Date.now(), maxEvents = 1500, ...opts } = {}) {
+  const { compactAfterDays, retentionDays } = { ...compactionConfig(), ...opts };
+
+  const compactBefore = startOfUtcDay(now - compactAfterDays * DAY_MS);
+  const retainFrom = retentionDays ? startOfUtcDay(now - retentionDays * DAY_MS) : 0;
+
+  // ---- live events past the compaction cutoff (oldest first) ----
+  const { blobs = [] } = await store.list({ prefix: "event:" });
+  const eligible = blobs
+    .map((b) => b.key)
+    .filter((k) => (eventKeyMs(k) ?? Infinity) < compactBefore)
+    .sort();
+  const batch = eligible.slice(0, maxEvents);
+
+  const rows = (
+    await mapLimit(batch, 8, async (key) => ({ key, ev: await readJSON(store, key, null) }))
+  ).filter((r) => r.ev && typeof r.ev === "object");
+
+  // ---- group into (day, account, location) parts ----
+  const groups = new Map();
+  const expired = [];
+  for (const r of rows) {
+    const ms = eventKeyMs(r.key);
+    if (ms < retainFrom) {
+      expired.push(r);
+      continue;
+    }
+    const day = dayOf(ms);
+    const account = String(r.ev.account || "ACX");
+    const location = locationOf(r.ev);
+    const g = `${day}\u0000${account}\u0000${location}`;
+    if (!groups.has(g)) groups.set(g, { day, account, location, events: [] });
+    groups.get(g).events.push(r);
+  }
+
+  // Parts first; originals are only deleted once their part is stored
+  const archivedRows = [];
+  await mapLimit([...groups.values()], 4, async (part) => {
+    await writeArchivePart(store, part);
+    archivedRows.push(...part.events);
+  });
+
+  await mapLimit([...archivedRows, ...expired], 8, (r) => removeEvent(store, r.key, r.ev));
+
+  // ---- retention for archives ----
+  let archiveDaysDeleted = 0;
+  if (retainFrom) {
+    const cutoffDay = dayOf(retainFrom);
+    for (const day of await listArchiveDays(store)) {
+      if (day >= cutoffDay) continue;
+      const { blobs: parts = [] } = await store.list({ prefix: `archive/${day}/` });
+      await mapLimit(parts, 8, (b) => store.delete(b.key).catch(() => {}));
+      archiveDaysDeleted++;
+    }
+  }
+
+  const noncesDeleted = await purgeExpiredNonces(store, now);
+  const claimsDeleted = await purgeExpiredClaims(store, now);
+
+  return {
+    compact_before: new Date(compactBefore).toISOString(),
+    retain_from: retainFrom ? new Date(retainFrom).toISOString() : null,
+    eligible: eligible.length,
+    archived: archivedRows.length,
+    expired: expired.length,
+    parts: groups.size,
+    archive_days_deleted: archiveDaysDeleted,
+    nonces_deleted: noncesDeleted,
+    claims_deleted: claimsDeleted,
+    more: eligible.length > batch.length,
+  };
+}
@@ -0,0 +1,98 @@
+// functions/_lib/config.js
+// Deploy-aware URLs for calls between ACX functions (no hard-coded domain)
+// Exports: deployContext, publicBaseUrl, functionUrl, blobsBaseUrl,
+//          internalFetch
+//
+// publicBaseUrl() resolves, first hit wins:
+//   ACX_PUBLIC_BASE_URL              explicit override (any context)
+//   URL                              CONTEXT=production (the site's main domain)
+//   DEPLOY_URL / DEPLOY_PRIME_URL    any other context: this deploy only
+//   URL
+//   { origin } of the calling request
+// so a deploy preview or staging site only ever calls (and writes through)
+// itself. "" when nothing is known: callers skip the call rather than guess.
+//
+// internalFetch(url, init) is fetch() for those calls. With
+// ACX_INTERNAL_CALLS=inprocess, a URL on this deploy naming one of SIBLINGS
+// (all ESM `export default async (req)`) loads that function on first use and
+// runs it in this invocation instead of going back out over the public
+// internet; any other function on this deploy throws. Other URLs, and the
+// default ("http"), are a plain fetch and never load a sibling. The request
+// is built exactly as it would be sent, so the target still verifies
+// signatures and scopes.
+
+const SIBLINGS = {
+  "acx-matrix-webhook": () => import("../acx-matrix-webhook.js"),
+  "acx-matrix-ingest-integrity": () => import("../acx-matrix-ingest-integrity.js"),
+  "acx-sentinel-webhook": () => import("../acx-sentinel-webhook.js"),
+};
+
+const FUNCTIONS_PATH = "/.netlify/functions/";
+
+const env = (name) => String(process.env[name] || "").trim();
+const trimSlash = (u) => String(u || "").replace(/\/+$/, "");
+
+const originOf = (u) => {
+  try {
+    return new URL(u).origin;
+  } catch {
+    return "";
+  }
+};
+
+export function deployContext() {
+  return env("CONTEXT") || "dev";
+}
+
+export function publicBaseUrl({ origin = "" } = {}) {
+  const override = env("ACX_PUBLIC_BASE_URL");
+  if (override) return trimSlash(override);
+
+  if (deployContext() === "production" && env("URL")) return trimSlash(env("URL"));
+  return trimSlash(env("DEPLOY_URL") || env("DEPLOY_PRIME_URL") || env("URL") || origin);
+}
+
+// "" when no base is known (see publicBaseUrl)
+export function functionUrl(name, { origin = "", query = "" } = {}) {
+  const base = publicBaseUrl({ origin });
+  return base ? `${base}${FUNCTIONS_PATH}${name}${query}` : "";
+}
+
+export function blobsBaseUrl(storeName, { origin = "" } = {}) {
+  const base = publicBaseUrl({ origin });
+  return base ? `${base}/.netlify/blobs/${encodeURIComponent(storeName)}/` : "";
+}
+
+// ---------- in-process calls ----------
+function inProcess() {
+  return env("ACX_INTERNAL_CALLS").toLowerCase() === "inprocess";
+}
+
+// Every origin that serves this deploy
+function ownOrigins() {
+  return new Set(
+    [publicBaseUrl(), env("URL"), env("DEPLOY_URL"), env("DEPLOY_PRIME_URL")].map(originOf).filter(Boolean)
+  );
+}
+
+// Function name of a URL on this deploy, else null
+function siblingName(url) {
+  let u;
+  try {
+    u = new URL(url);
+  } catch {
+    return null;
+  }
+  if (!u.pathname.startsWith(FUNCTIONS_PATH) || !ownOrigins().has(u.origin)) return null;
+  return u.pathname.slice(FUNCTIONS_PATH.length).replace(/\/+$/, "");
+}
+
+export async function internalFetch(url, init = {}) {
+  const name = inProcess() ? siblingName(url) : null;
+  if (!name) return fetch(url, init);
+
+  if (!Object.hasOwn(SIBLINGS, name)) throw new Error(`${name} cannot be called in-process`);
+  const handler = (await SIBLINGS[name]()).default;
+  if (typeof handler !== "function") throw new Error(`${name} has no default export handler`);
+  return handler(new Request(url, init));
+}
@@ -0,0 +1,88 @@
+// functions/_lib/email.js
+// ACX outbound email: Mailgun sending + house-style pieces
+// Exports: sendMailgunEmail, normalizeEmail, escapeHtml, footerBarHtml,
+//          FROM_EMAIL, LOGO_URL, FOOTER_LABEL
+//
+// Shared by acx-sentinel-repair (repair emails), the Matrix alert engine
+// (_lib/alerts.js) and the SLA statement (_lib/sla-report.js), so every
+// message goes out the same way and carries the same footer.
+// Env: MAILGUN_API_KEY, MAILGUN_DOMAIN
+
+export const FROM_EMAIL = "Automated Clarity <no-reply@mg.automatedclarity.com>";
+export const LOGO_URL = "https://notify.automatedclarity.com/assets/acx-logo-dark.png?v=5";
+export const FOOTER_LABEL = "Automated Clarity™ Monitoring";
+
+function safeTrunc(s, n) {
+  s = String(s || "");
+  return s.length > n ? s.slice(0, n) + "…" : s;
+}
+
+function base64(s) {
+  return Buffer.from(String(s), "utf8").toString("base64");
+}
+
+export function escapeHtml(str) {
+  return String(str ?? "")
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;")
+    .replace(/'/g, "&#39;");
+}
+
+export function normalizeEmail(value) {
+  const email = String(value || "").trim().toLowerCase();
+  return /^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(email) ? email : "";
+}
+
+export function footerBarHtml() {
+  return `
+    <table role="presentation" width="100%" cellspacing="0" cellpadding="0"
+      style="margin-top:14px; border-collapse:collapse; background:#0b1220; border-radius:10px;">
+      <tr>
+        <td style="padding:14px 16px; vertical-align:middle;">
+          <img src="${escapeHtml(LOGO_URL)}"
+               alt="Automated Clarity"
+               width="140"
+               style="display:block; border:0; outline:none; text-decoration:none; height:auto;" />
+        </td>
+        <td style="padding:14px 16px; vertical-align:middle; text-align:right; color:#9ca3af; font-size:12px; letter-spacing:.2px;">
+          ${escapeHtml(FOOTER_LABEL)}
+        </td>
+      </tr>
+    </table>
+  `.trim();
+}
+
+export async function sendMailgunEmail({ to, subject, html, text }) {
+  const apiKey = process.env.MAILGUN_API_KEY;
+  const domain = process.env.MAILGUN_DOMAIN;
+
+  if (!apiKey) throw new Error("Missing MAILGUN_API_KEY");
+  if (!domain) throw new Error("Missing MAILGUN_DOMAIN");
+  if (!normalizeEmail(to)) throw new Error("Missing or invalid recipient email");
+
+  const form = new URLSearchParams();
+  form.set("from", FROM_EMAIL);
+  form.set("to", to);
+  form.set("subject", subject);
+  form.set("text", text);
+  form.set("html", html);
+
+  const mgRes = await fetch(`https://api.mailgun.net/v3/${domain}/messages`, {
+    method: "POST",
+    headers: {
+      Authorization: "Basic " + base64(`api:${apiKey}`),
+      "Content-Type": "application/x-www-form-urlencoded",
+    },
+    body: form.toString(),
+  });
+
+  const mgText = await mgRes.text();
+
+  if (!mgRes.ok) {
+    throw new Error(`Mailgun send failed: ${mgRes.status} ${safeTrunc(mgText, 1200)}`);
+  }
+
+  return mgText;
+}
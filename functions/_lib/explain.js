@@ -0,0 +1,13 @@
+// functions/_lib/explain.js
+// Dry-run ("explain") flag shared by the Matrix ingest path
+// Exports: isExplain
+//
+// ?explain=1|true|yes or X-ACX-Explain: 1|true|yes. acx-matrix-webhook then
+// returns what it would store without writing; acx-matrix-ingest-form and
+// acx-matrix-ingest-integrity pass the flag on and never dead-letter.
+
+export function isExplain(req) {
+  const q = new URL(req.url).searchParams.get("explain");
+  const h = req.headers.get("x-acx-explain");
+  return [q, h].some((v) => ["1", "true", "yes"].includes(String(v || "").trim().toLowerCase()));
+}
@@ -0,0 +1,163 @@
+// functions/_lib/forward.js
+// Signed internal forwards (-> acx-matrix-webhook / ingest-integrity) with a
+// dead-letter queue, so a webhook blip never loses an update.
+// Exports: forwardSigned, listDeadLetters, replayDeadLetter,
+//          discardDeadLetter, retryDueDeadLetters, DLQ_MAX_ATTEMPTS
+//
+// A forward that fails with a network error or a retryable status is stored
+// as dlq/<ms>:<rand> in the Matrix store:
+//   { id, kind, url, headers, body, created_at, attempts, last_attempt_at,
+//     last_status, last_error, next_attempt_at, status: "pending" | "dead" }
+// Only the unsigned headers are kept; every attempt is re-signed, so replays
+// never trip the nonce cache (_lib/signature.js). Bodies always carry a
+// run_id, so a replay of a forward that did land upstream is a duplicate,
+// not a second event (see claimIdempotency in _lib/matrix-store.js).
+//
+// URLs come from _lib/config.js (functionUrl) and go out through its
+// internalFetch, so ACX_INTERNAL_CALLS=inprocess applies to replays too.
+//
+// Entries are only rewritten by retry / replay (never by ingest), so a plain
+// read-modify-write per entry is fine here.
+
+import { getMatrixStore, readJSON, mapLimit } from "./matrix-store.js";
+import { signedHeaders } from "./signature.js";
+import { internalFetch } from "./config.js";
+
+const PREFIX = "dlq/";
+
+export const DLQ_MAX_ATTEMPTS = 8;
+
+const BACKOFF_BASE_MS = 60 * 1000; // 1m, 2m, 4m … capped below
+const BACKOFF_MAX_MS = 6 * 60 * 60 * 1000;
+
+// Worth another try later: network errors, 5xx, timeouts and throttling.
+// Any other 4xx (bad key, missing scope, wrong URL, bad body) fails the same
+// way every time, so it is dead-lettered as "dead" at once instead of going
+// through the backoff; fix the cause, then replay it from the DLQ.
+const RETRYABLE = new Set([408, 425, 429]);
+const isRetryable = (status) => status >= 500 || RETRYABLE.has(status);
+const isPermanent = (status) => status >= 400 && status < 500 && !RETRYABLE.has(status);
+
+const backoffMs = (attempts) =>
+  Math.min(BACKOFF_BASE_MS * 2 ** Math.max(0, attempts - 1), BACKOFF_MAX_MS);
+
+const newId = () => `${Date.now()}:${Math.random().toString(36).slice(2, 10)}`;
+
+async function attempt({ url, headers, body }) {
+  try {
+    const r = await internalFetch(url, {
+      method: "POST",
+      headers: { ...headers, ...signedHeaders(body) },
+      body,
+    });
+    const text = await r.text();
+    const ok = !isRetryable(r.status) && !isPermanent(r.status);
+    return { ok, permanent: isPermanent(r.status), status: r.status, text, error: "" };
+  } catch (e) {
+    return { ok: false, permanent: false, status: 0, text: "", error: e?.message || String(e) };
+  }
+}
+
+function failed(entry, res) {
+  const now = Date.now();
+  const attempts = (entry.attempts || 0) + 1;
+  return {
+    ...entry,
+    attempts,
+    last_attempt_at: new Date(now).toISOString(),
+    last_status: res.status,
+    last_error: res.error || String(res.text || "").slice(0, 500),
+    next_attempt_at: new Date(now + backoffMs(attempts)).toISOString(),
+    status: res.permanent || attempts >= DLQ_MAX_ATTEMPTS ? "dead" : "pending",
+  };
+}
+
+// POST `body` (the exact string) to `url`, signed. On failure the forward is
+// dead-lettered unless deadLetter is false (explain / dry runs).
+// Returns { ok, permanent, status, text, error, dead_letter: id | null };
+// `permanent` means the entry was stored as dead, not queued for a retry.
+export async function forwardSigned(
+  { kind, url, headers = {}, body },
+  { store = null, deadLetter = true } = {}
+) {
+  // No base URL for this deploy (see publicBaseUrl): a retry could not do better
+  if (!url) {
+    console.error("FORWARD_NO_BASE_URL", { kind });
+    return { ok: false, permanent: false, status: 0, text: "", error: "No public base URL configured", dead_letter: null };
+  }
+
+  const res = await attempt({ url, headers, body });
+  if (res.ok || !deadLetter) return { ...res, dead_letter: null };
+
+  const id = newId();
+  const entry = failed(
+    {
+      id,
+      kind: String(kind || "forward"),
+      url,
+      headers,
+      body,
+      created_at: new Date().toISOString(),
+      attempts: 0,
+    },
+    res
+  );
+
+  try {
+    await (store || getMatrixStore()).set(PREFIX + id, JSON.stringify(entry));
+  } catch (e) {
+    console.error("DLQ_WRITE_FAILED", { kind, error: e?.message || String(e) });
+    return { ...res, dead_letter: null };
+  }
+
+  console.error("FORWARD_DEAD_LETTERED", { kind, id, status: res.status, error: res.error });
+  return { ...res, dead_letter: id };
+}
+
+// Newest first
+export async function listDeadLetters(store) {
+  const { blobs = [] } = await store.list({ prefix: PREFIX });
+  const ids = blobs.map((b) => b.key.slice(PREFIX.length)).sort().reverse();
+  const entries = await mapLimit(ids, 8, (id) => readJSON(store, PREFIX + id, null));
+  return entries.filter(Boolean);
+}
+
+// One more attempt now: delivered -> removed; failed -> rescheduled (or dead)
+export async function replayDeadLetter(store, id) {
+  const entry = await readJSON(store, PREFIX + String(id || ""), null);
+  if (!entry) return { ok: false, error: "Unknown dead letter id" };
+
+  const res = await attempt(entry);
+  if (res.ok) {
+    await store.delete(PREFIX + entry.id);
+    return { ok: true, delivered: true, id: entry.id, status: res.status };
+  }
+
+  const next = failed(entry, res);
+  await store.set(PREFIX + entry.id, JSON.stringify(next));
+  return { ok: true, delivered: false, id: entry.id, status: res.status, entry: next };
+}
+
+export async function discardDeadLetter(store, id) {
+  const key = PREFIX + String(id || "");
+  const entry = await readJSON(store, key, null);
+  if (!entry) return { ok: false, error: "Unknown dead letter id" };
+  await store.delete(key);
+  return { ok: true, id: entry.id };
+}
+
+// Scheduled sweep: replay every pending entry whose backoff has elapsed
+export async function retryDueDeadLetters(store, { limit = 25, now = Date.now() } = {}) {
+  const due = (await listDeadLetters(store))
+    .filter((e) => e.status === "pending" && (Date.parse(e.next_attempt_at) || 0) <= now)
+    .reverse() // oldest first
+    .slice(0, limit);
+
+  const results = await mapLimit(due, 4, (e) => replayDeadLetter(store, e.id));
+
+  return {
+    due: due.length,
+    delivered: results.filter((r) => r.delivered).length,
+    failed: results.filter((r) => r.ok && !r.delivered).length,
+  };
+}
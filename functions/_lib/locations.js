@@ -0,0 +1,231 @@
+// functions/_lib/locations.js
+// ACX Matrix location registry (blob-backed, one key per location)
+// Exports: validateLocationMeta, listLocationMeta, readLocationMeta,
+//          saveLocationMeta, deleteLocationMeta, LOCATION_META_FIELDS,
+//          readLocationState, listArchivedLocations, setLocationState,
+//          appendLocationAudit, listLocationAudit
+//
+// Stored as locmeta/<account>/<location> in the Matrix store. Only display /
+// ownership data lives here; integrity, metrics and last_seen stay in the
+// webhook-maintained summaries (_lib/matrix-store.js) and are never shadowed.
+//
+// Record shape:
+//   account, location        identity (location = raw GHL id)
+//   display_name             tile title instead of the raw id
+//   client                   client / company name
+//   timezone                 IANA zone, e.g. America/Vancouver
+//   tags                     lowercase labels, searchable on the dashboard
+//   owner_email              who to talk to about this location
+//   expected_interval_min    how often ingest is expected (minutes)
+//   updated_at, updated_by
+//
+// Lifecycle (archive / restore / purge, see acx-matrix-location-state):
+//   locstate/<account>/<location>               { status: "archived", at, by, reason }
+//                                               (absent = active)
+//   locaudit/<account>/<location>/<ms>:<rand>   { action, at, by, reason, … }
+// Archived locations drop out of the live list and stale counters but keep
+// their history. The audit trail is append-only and survives a purge.
+
+const PREFIX = "locmeta/";
+const STATE_PREFIX = "locstate/";
+const AUDIT_PREFIX = "locaudit/";
+
+export const LOCATION_META_FIELDS = [
+  "display_name",
+  "client",
+  "timezone",
+  "tags",
+  "owner_email",
+  "expected_interval_min",
+];
+
+const MAX_INTERVAL_MIN = 7 * 24 * 60;
+
+const seg = (s) => encodeURIComponent(String(s || ""));
+const unseg = (s) => {
+  try {
+    return decodeURIComponent(s);
+  } catch {
+    return s;
+  }
+};
+const keyFor = (account, location, prefix = PREFIX) => `${prefix}${seg(account)}/${seg(location)}`;
+
+const str = (v, max) => String(v ?? "").trim().slice(0, max);
+
+const cleanTags = (list) => [
+  ...new Set(
+    (Array.isArray(list) ? list : String(list || "").split(","))
+      .map((t) => String(t || "").trim().toLowerCase())
+      .filter(Boolean)
+      .map((t) => t.slice(0, 32))
+  ),
+].slice(0, 20);
+
+function validTimezone(tz) {
+  try {
+    new Intl.DateTimeFormat("en-CA", { timeZone: tz });
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+// Returns { ok: true, meta } or { ok: false, error }
+export function validateLocationMeta(input) {
+  const raw = input && typeof input === "object" ? input : {};
+
+  const account = str(raw.account || "ACX", 80);
+  const location = str(raw.location, 120);
+  if (!location) return { ok: false, error: "Missing location" };
+
+  const timezone = str(raw.timezone, 64);
+  if (timezone && !validTimezone(timezone)) {
+    return { ok: false, error: `Unknown timezone "${timezone}"` };
+  }
+
+  const owner_email = str(raw.owner_email, 200).toLowerCase();
+  if (owner_email && !/^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(owner_email)) {
+    return { ok: false, error: "owner_email must be an email address" };
+  }
+
+  let expected_interval_min = null;
+  if (raw.expected_interval_min !== undefined && raw.expected_interval_min !== null && raw.expected_interval_min !== "") {
+    const n = Number(raw.expected_interval_min);
+    if (!Number.isFinite(n) || n < 1 || n > MAX_INTERVAL_MIN) {
+      return { ok: false, error: `expected_interval_min must be 1-${MAX_INTERVAL_MIN}` };
+    }
+    expected_interval_min = Math.round(n);
+  }
+
+  return {
+    ok: true,
+    meta: {
+      account,
+      location,
+      display_name: str(raw.display_name, 120),
+      client: str(raw.client, 120),
+      timezone,
+      tags: cleanTags(raw.tags),
+      owner_email,
+      expected_interval_min,
+    },
+  };
+}
+
+export async function readLocationMeta(store, account, location) {
+  try {
+    return (await store.get(keyFor(account, location), { type: "json" })) || null;
+  } catch {
+    return null;
+  }
+}
+
+// Every record (one account, or all), sorted by account then location
+export async function listLocationMeta(store, account) {
+  const prefix = account ? `${PREFIX}${seg(account)}/` : PREFIX;
+  const { blobs = [] } = await store.list({ prefix });
+
+  const out = await Promise.all(
+    blobs.map(async (b) => {
+      const [acct, loc] = b.key.slice(PREFIX.length).split("/").map(unseg);
+      const v = await readLocationMeta(store, acct, loc);
+      return v ? { ...v, account: acct, location: loc } : null;
+    })
+  );
+
+  return out
+    .filter(Boolean)
+    .sort((a, b) => a.account.localeCompare(b.account) || a.location.localeCompare(b.location));
+}
+
+// merge=true keeps stored fields the input leaves out (PATCH)
+export async function saveLocationMeta(store, input, { merge = false, updatedBy = "" } = {}) {
+  const raw = input && typeof input === "object" ? input : {};
+
+  let base = {};
+  if (merge) {
+    base = (await readLocationMeta(store, str(raw.account || "ACX", 80), str(raw.location, 120))) || {};
+  }
+
+  const v = validateLocationMeta({ ...base, ...raw });
+  if (!v.ok) return v;
+
+  const meta = { ...v.meta, updated_at: new Date().toISOString(), updated_by: updatedBy || null };
+  await store.set(keyFor(meta.account, meta.location), JSON.stringify(meta));
+  return { ok: true, meta };
+}
+
+export async function deleteLocationMeta(store, account, location) {
+  const acct = str(account || "ACX", 80);
+  const loc = str(location, 120);
+  if (!loc) return { ok: false, error: "Missing location" };
+
+  const existing = await readLocationMeta(store, acct, loc);
+  if (!existing) return { ok: false, error: "Unknown location" };
+
+  await store.delete(keyFor(acct, loc));
+  return { ok: true, account: acct, location: loc };
+}
+
+// ---------- lifecycle ----------
+export async function readLocationState(store, account, location) {
+  try {
+    const v = await store.get(keyFor(account, location, STATE_PREFIX), { type: "json" });
+    return v && v.status ? v : { status: "active" };
+  } catch {
+    return { status: "active" };
+  }
+}
+
+// [{ account, location, status, at, by, reason }] (one account, or all)
+export async function listArchivedLocations(store, account) {
+  const prefix = account ? `${STATE_PREFIX}${seg(account)}/` : STATE_PREFIX;
+  const { blobs = [] } = await store.list({ prefix });
+
+  const out = await Promise.all(
+    blobs.map(async (b) => {
+      const [acct, loc] = b.key.slice(STATE_PREFIX.length).split("/").map(unseg);
+      const v = await readLocationState(store, acct, loc);
+      return v.status === "archived" ? { ...v, account: acct, location: loc } : null;
+    })
+  );
+  return out.filter(Boolean);
+}
+
+// status "active" clears the state key (active is the default)
+export async function setLocationState(store, { account, location, status, by = "", reason = "" }) {
+  const key = keyFor(account, location, STATE_PREFIX);
+  if (status === "active") {
+    await store.delete(key);
+    return { status: "active" };
+  }
+  const state = { status, at: new Date().toISOString(), by: by || null, reason: str(reason, 500) };
+  await store.set(key, JSON.stringify(state));
+  return state;
+}
+
+export async function appendLocationAudit(store, { account, location, action, by = "", reason = "", ...details }) {
+  const ms = Date.now();
+  const entry = {
+    action,
+    account,
+    location,
+    at: new Date(ms).toISOString(),
+    by: by || null,
+    reason: str(reason, 500),
+    ...details,
+  };
+  const id = `${ms}:${Math.random().toString(36).slice(2, 10)}`;
+  await store.set(`${keyFor(account, location, AUDIT_PREFIX)}/${id}`, JSON.stringify(entry));
+  return entry;
+}
+
+// Newest first
+export async function listLocationAudit(store, account, location) {
+  const prefix = `${keyFor(account, location, AUDIT_PREFIX)}/`;
+  const { blobs = [] } = await store.list({ prefix });
+  const keys = blobs.map((b) => b.key).sort().reverse();
+  const out = await Promise.all(keys.map((k) => store.get(k, { type: "json" }).catch(() => null)));
+  return out.filter(Boolean);
+}
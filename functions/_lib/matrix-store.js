@@ -0,0 +1,677 @@
+// functions/_lib/matrix-store.js
+// ACX Matrix blob layout (append-only, race-free ingest)
+// Exports: getMatrixStore, matrixStoreName, readJSON, newEventKey, appendEvent,
+//          claimIdempotency, releaseIdempotencyClaim, findIdempotencyClaim,
+//          purgeExpiredClaims, applyLocationPatch,
+//          previewLocationPatch, readLocationSummary, readLocationFields,
+//          listLocationSummaries, listRecentEventKeys, eventKeyMs, mapLimit,
+//          readRecentEvents, writeArchivePart, removeEvent, listArchiveDays,
+//          readArchiveDay, listIndexedLocations, listDayEventKeys,
+//          readEventHistoryPage, registerAccount, listAccounts,
+//          purgeLocationData, listLocationNames, listLocationPatchHeads
+//
+// An ingest only ever CREATES keys, it never read-modify-writes a shared one:
+//   event:<ms>:<rand>                                    event row
+//   ix/global/<YYYY-MM-DD>/<eventKey>                    global index (UTC day shards)
+//   ix/loc/<account>/<location>/<YYYY-MM-DD>/<eventKey>  per-location index
+//   locpatch/<account>/<location>/<ms>:<rand>            summary patch
+//   loc:<account>:<location>                             compacted summary (cache)
+//   dedupe/<sha256>/<ms>:<rand>                          idempotency claims
+//   acct/<account>/<ms>:<rand>                           account registry
+//   archive/<YYYY-MM-DD>/<account>/<location>/<ms>:<rand> compacted events
+//                                                        (see _lib/compaction.js)
+//
+// Summary fields are last-writer-wins PER FIELD, ordered by patch id, so
+// folding patches is idempotent and order-independent. Two concurrent
+// compactions can at worst leave a slightly older cache; readers re-fold the
+// retained patches on top of it, so nothing is lost.
+//
+// Legacy keys (index:global, index:loc:*, locations:*) are still READ so
+// events written before this layout stay visible. They are no longer written.
+
+import crypto from "crypto";
+import { getStore } from "@netlify/blobs";
+
+// Idempotency claims are purged after this (acx-matrix-compact); far beyond
+// any sender's retry window (the DLQ gives up after ~4h).
+const CLAIM_TTL_MS = 7 * 24 * 60 * 60 * 1000;
+
+// Patches older than this are deleted once folded into the cached summary.
+// Must stay far above any function timeout so an overlapping compaction can
+// never drop a patch that a slower one still needs.
+const PATCH_RETENTION_MS = 10 * 60 * 1000;
+
+const SUMMARY_DEFAULTS = {
+  last_seen: "",
+  uptime: 0,
+  conversion: 0,
+  response_ms: 0,
+  quotes_recovered: 0,
+  integrity: "unknown",
+};
+
+export function matrixStoreName() {
+  return process.env.ACX_BLOBS_STORE || "acx-matrix";
+}
+
+export function getMatrixStore() {
+  return getStore({ name: matrixStoreName(), consistency: "strong" });
+}
+
+export async function readJSON(store, key, fallback = null) {
+  try {
+    const v = await store.get(key, { type: "json" });
+    if (v === null || v === undefined) return fallback;
+    return v;
+  } catch {
+    return fallback;
+  }
+}
+
+// Run fn over items with at most `limit` in flight; results keep input order.
+export async function mapLimit(items, limit, fn) {
+  const out = new Array(items.length);
+  let next = 0;
+  const worker = async () => {
+    while (next < items.length) {
+      const i = next++;
+      out[i] = await fn(items[i], i);
+    }
+  };
+  await Promise.all(
+    Array.from({ length: Math.max(1, Math.min(limit, items.length)) }, worker)
+  );
+  return out;
+}
+
+// ---------- keys ----------
+const seg = (s) => encodeURIComponent(String(s || ""));
+const unseg = (s) => {
+  try {
+    return decodeURIComponent(s);
+  } catch {
+    return s;
+  }
+};
+const dayOf = (ms) => new Date(ms).toISOString().slice(0, 10);
+const rand = () => Math.random().toString(36).slice(2, 10);
+
+// ms ids are 13 digits until 2286, so lexical order == chronological order
+const newId = (ms = Date.now()) => `${ms}:${rand()}`;
+
+export function eventKeyMs(key) {
+  const m = /^event:(\d+):/.exec(String(key || ""));
+  return m ? Number(m[1]) : null;
+}
+
+const locIndexPrefix = (account, location) =>
+  `ix/loc/${seg(account)}/${seg(location)}/`;
+const patchPrefix = (account, location) =>
+  `locpatch/${seg(account)}/${seg(location)}/`;
+const summaryKey = (account, location) => `loc:${account}:${location}`;
+
+function normalizeIndex(raw) {
+  if (!raw) return [];
+  if (Array.isArray(raw)) return raw.map(String).filter(Boolean);
+  if (typeof raw === "object" && Array.isArray(raw.keys))
+    return raw.keys.map(String).filter(Boolean);
+  return [];
+}
+
+function sortNewestFirst(keys) {
+  const seen = new Set();
+  const out = [];
+  for (const k of keys) {
+    if (!k || seen.has(k)) continue;
+    seen.add(k);
+    out.push(k);
+  }
+  return out.sort((a, b) => (eventKeyMs(b) ?? 0) - (eventKeyMs(a) ?? 0));
+}
+
+// ---------- events + index ----------
+export function newEventKey(ms = Date.now()) {
+  return `event:${newId(ms)}`;
+}
+
+// `key` may be pre-generated (see claimIdempotency) so a claim can point at
+// the event before it is written.
+export async function appendEvent(store, ev, key = newEventKey()) {
+  const day = dayOf(eventKeyMs(key) ?? Date.now());
+
+  await store.set(key, JSON.stringify(ev));
+
+  const writes = [store.set(`ix/global/${day}/${key}`, key)];
+  if (ev?.account) writes.push(registerAccount(store, ev.account, eventKeyMs(key) ?? Date.now()));
+  if (ev?.location) {
+    writes.push(
+      store.set(`${locIndexPrefix(ev.account, ev.location)}${day}/${key}`, key)
+    );
+  }
+  await Promise.all(writes);
+
+  return key;
+}
+
+// Idempotency without conditional writes: every request appends a claim under
+// the same identity prefix, then lists the prefix. The earliest claim wins and
+// every later one is a duplicate of it, so concurrent retries agree on a
+// single stored event. `identity` is any array of strings.
+const claimPrefix = (identity) =>
+  `dedupe/${crypto
+    .createHash("sha256")
+    .update(identity.map((p) => String(p ?? "")).join("\u0000"))
+    .digest("hex")}/`;
+
+export async function claimIdempotency(store, identity, eventKey) {
+  const prefix = claimPrefix(identity);
+
+  const mine = eventKeyMs(eventKey) ? eventKey.slice("event:".length) : newId();
+  await store.set(prefix + mine, JSON.stringify({ key: eventKey, ts: new Date().toISOString() }));
+
+  const { blobs = [] } = await store.list({ prefix });
+  const first = blobs.map((b) => b.key.slice(prefix.length)).sort()[0] || mine;
+  if (first === mine) return { duplicate: false, key: eventKey };
+
+  const winner = await readJSON(store, prefix + first, null);
+  // Our losing claim is harmless, but drop it to keep the prefix small.
+  await store.delete(prefix + mine).catch(() => {});
+  return { duplicate: true, key: String(winner?.key || `event:${first}`) };
+}
+
+// Give a won claim back when its event could not be stored, so the sender's
+// retry is stored instead of being reported as a duplicate of nothing.
+export async function releaseIdempotencyClaim(store, identity, eventKey) {
+  const id = eventKeyMs(eventKey) ? eventKey.slice("event:".length) : "";
+  if (id) await store.delete(claimPrefix(identity) + id).catch(() => {});
+}
+
+// Claims older than CLAIM_TTL_MS, by the <ms> in their id. Returns the count.
+export async function purgeExpiredClaims(store, now = Date.now()) {
+  const { blobs = [] } = await store.list({ prefix: "dedupe/" });
+
+  let deleted = 0;
+  for (const b of blobs) {
+    const ms = Number(b.key.split("/").pop().split(":")[0]);
+    if (Number.isFinite(ms) && ms < now - CLAIM_TTL_MS) {
+      await store.delete(b.key).catch(() => {});
+      deleted++;
+    }
+  }
+  return deleted;
+}
+
+// Read-only lookup: the event key an identity already resolved to, or null.
+export async function findIdempotencyClaim(store, identity) {
+  const prefix = claimPrefix(identity);
+  const { blobs = [] } = await store.list({ prefix });
+  const first = blobs.map((b) => b.key.slice(prefix.length)).sort()[0];
+  if (!first) return null;
+
+  const winner = await readJSON(store, prefix + first, null);
+  return String(winner?.key || `event:${first}`);
+}
+
+// Drop a live event and its index shard entries (after it was archived)
+export async function removeEvent(store, key, ev) {
+  const day = dayOf(eventKeyMs(key) ?? Date.now());
+  const deletes = [store.delete(key), store.delete(`ix/global/${day}/${key}`)];
+  if (ev?.location) {
+    deletes.push(store.delete(`${locIndexPrefix(ev.account, ev.location)}${day}/${key}`));
+  }
+  await Promise.all(deletes.map((p) => p.catch(() => {})));
+}
+
+// Newest-first event keys from the day shards, topped up from the legacy
+// rolling index when the shards alone cannot fill `limit`.
+// Returns { keys, scanned } where scanned counts every key seen.
+export async function listRecentEventKeys(store, { limit = 50, account, location } = {}) {
+  const prefix = location ? locIndexPrefix(account, location) : "ix/global/";
+
+  const { directories = [] } = await store.list({ prefix, directories: true });
+  const days = directories.map((d) => d.replace(/\/$/, "")).sort().reverse();
+
+  let keys = [];
+  for (const dir of days) {
+    const { blobs = [] } = await store.list({ prefix: `${dir}/` });
+    for (const b of blobs) keys.push(b.key.slice(dir.length + 1));
+    if (keys.length >= limit) break;
+  }
+
+  if (keys.length < limit) {
+    const legacyKey = location ? `index:loc:${account}:${location}` : "index:global";
+    keys = keys.concat(normalizeIndex(await readJSON(store, legacyKey, null)));
+  }
+
+  const sorted = sortNewestFirst(keys);
+  return { keys: sorted.slice(0, limit), scanned: sorted.length };
+}
+
+// { account, location } for every location with a live index shard
+// (all accounts unless `account` is given)
+export async function listIndexedLocations(store, account) {
+  const dirs = async (prefix) =>
+    ((await store.list({ prefix, directories: true })).directories || []).map((d) =>
+      unseg(d.slice(prefix.length).replace(/\/$/, ""))
+    );
+
+  const accounts = account ? [account] : await dirs("ix/loc/");
+  const out = [];
+  for (const a of accounts) {
+    for (const location of await dirs(`ix/loc/${seg(a)}/`)) {
+      if (location) out.push({ account: a, location });
+    }
+  }
+  return out;
+}
+
+// Oldest-first event keys in one location's UTC day shard
+export async function listDayEventKeys(store, { account, location, day }) {
+  const prefix = `${locIndexPrefix(account, location)}${day}/`;
+  const { blobs = [] } = await store.list({ prefix });
+  return blobs.map((b) => b.key.slice(prefix.length)).sort();
+}
+
+// ---------- accounts ----------
+// Registered on first ingest. Two first ingests racing both write a claim;
+// the earliest is first_seen. A warm instance remembers what it registered,
+// so steady-state ingest costs nothing extra.
+const accountPrefix = (account) => `acct/${seg(account)}/`;
+const registeredAccounts = new Set();
+
+export async function registerAccount(store, account, ms = Date.now()) {
+  const name = String(account || "").trim();
+  if (!name || registeredAccounts.has(name)) return;
+
+  const prefix = accountPrefix(name);
+  const { blobs = [] } = await store.list({ prefix });
+  if (!blobs.length) {
+    await store.set(
+      prefix + newId(ms),
+      JSON.stringify({ account: name, first_seen: new Date(ms).toISOString() })
+    );
+  }
+  registeredAccounts.add(name);
+}
+
+// [{ account, first_seen }] sorted by name: the registry plus accounts that
+// only exist in location shards or legacy locations:<account> lists
+export async function listAccounts(store) {
+  const [{ directories: registered = [] }, { directories: indexed = [] }, { blobs: legacy = [] }] =
+    await Promise.all([
+      store.list({ prefix: "acct/", directories: true }),
+      store.list({ prefix: "ix/loc/", directories: true }),
+      store.list({ prefix: "locations:" }),
+    ]);
+
+  const strip = (prefix) => (d) => unseg(d.slice(prefix.length).replace(/\/$/, ""));
+  const names = new Set([
+    ...registered.map(strip("acct/")),
+    ...indexed.map(strip("ix/loc/")),
+    ...legacy.map((b) => b.key.slice("locations:".length)),
+  ]);
+  names.delete("");
+
+  const out = await mapLimit([...names], 8, async (account) => {
+    const prefix = accountPrefix(account);
+    const { blobs = [] } = await store.list({ prefix });
+    const first = blobs.map((b) => b.key).sort()[0];
+    const claim = first ? await readJSON(store, first, null) : null;
+    return { account, first_seen: claim?.first_seen || null };
+  });
+
+  return out.sort((a, b) => (a.account < b.account ? -1 : a.account > b.account ? 1 : 0));
+}
+
+// ---------- archives ----------
+// One part per compaction run per (day, account, location): archiving only
+// creates keys too, and readers merge parts + dedupe by event key, so a
+// compaction that dies between "write part" and "delete originals" is safe.
+// Location-less events go under %00 (seg() only yields that for a NUL name).
+const NO_LOCATION = "%00";
+
+const archivePrefix = (day, account, location) =>
+  `archive/${day}/${seg(account)}/${location ? seg(location) : NO_LOCATION}/`;
+
+// events: [{ key, ev }] -> stored as { events: [{ key, ...ev }] }
+export async function writeArchivePart(store, { day, account, location, events }) {
+  const key = archivePrefix(day, account, location) + newId();
+  const rows = events
+    .slice()
+    .sort((a, b) => (a.key < b.key ? -1 : 1))
+    .map(({ key: k, ev }) => ({ key: k, ...ev }));
+  await store.set(key, JSON.stringify({ day, account, location, events: rows }));
+  return key;
+}
+
+// Archived days, newest first
+export async function listArchiveDays(store) {
+  const { directories = [] } = await store.list({ prefix: "archive/", directories: true });
+  return directories
+    .map((d) => d.slice("archive/".length).replace(/\/$/, ""))
+    .filter((d) => /^\d{4}-\d{2}-\d{2}$/.test(d))
+    .sort()
+    .reverse();
+}
+
+// [{ key, ev }] for one archived day (one location, or every location)
+export async function readArchiveDay(store, day, { account, location } = {}) {
+  const prefix = location ? archivePrefix(day, account, location) : `archive/${day}/`;
+  const { blobs = [] } = await store.list({ prefix });
+
+  const parts = await mapLimit(blobs, 4, (b) => readJSON(store, b.key, null));
+  const out = [];
+  for (const p of parts) {
+    for (const row of Array.isArray(p?.events) ? p.events : []) {
+      const { key, ...ev } = row || {};
+      if (key) out.push({ key, ev });
+    }
+  }
+  return out;
+}
+
+// Newest-first events for history readers: live shards first, then archived
+// days until `limit` is met. `readEvent(key)` lets callers keep their own
+// fetch path (e.g. the summary's HTTP fallback). `listed` skips the listing
+// when the caller already has listRecentEventKeys' result; `concurrency`
+// bounds the live reads in flight.
+// Returns { events: [{ key, ev }], scanned, archived }
+export async function readRecentEvents(
+  store,
+  { limit = 50, account, location, listed = null, concurrency = 8 } = {},
+  readEvent = (k) => readJSON(store, k, null)
+) {
+  const { keys, scanned } = listed || (await listRecentEventKeys(store, { limit, account, location }));
+
+  const live = await mapLimit(keys, concurrency, async (key) => ({ key, ev: await readEvent(key) }));
+  let events = live.filter((r) => r.ev && typeof r.ev === "object");
+
+  let archived = 0;
+  if (events.length < limit) {
+    for (const day of await listArchiveDays(store)) {
+      const rows = await readArchiveDay(store, day, { account, location });
+      archived += rows.length;
+      events = events.concat(rows);
+      if (events.length >= limit) break;
+    }
+  }
+
+  const seen = new Set();
+  events = events.filter((r) => !seen.has(r.key) && seen.add(r.key));
+  events.sort((a, b) => (eventKeyMs(b.key) ?? 0) - (eventKeyMs(a.key) ?? 0));
+
+  return { events: events.slice(0, limit), scanned: scanned + archived, archived };
+}
+
+// One page of history, newest first, across live day shards, the legacy
+// rolling index and archived days. `before` is an exclusive event-key cursor
+// and `accept(ev, key)` filters rows. At most `budget` rows are examined per
+// call; when it runs out the page is short, but `next` still points past
+// everything examined so the caller never rescans.
+// Returns { events: [{ key, ev }], next, scanned }
+export async function readEventHistoryPage(
+  store,
+  {
+    account,
+    location,
+    fromMs = 0,
+    toMs = Date.now(),
+    before = "",
+    limit = 100,
+    budget = 1000,
+    accept = () => true,
+  } = {}
+) {
+  const livePrefix = location ? locIndexPrefix(account, location) : "ix/global/";
+
+  const [{ directories = [] }, archiveDays, legacyRaw] = await Promise.all([
+    store.list({ prefix: livePrefix, directories: true }),
+    listArchiveDays(store),
+    readJSON(store, location ? `index:loc:${account}:${location}` : "index:global", null),
+  ]);
+
+  const legacyByDay = new Map();
+  for (const k of normalizeIndex(legacyRaw)) {
+    const ms = eventKeyMs(k);
+    if (ms === null) continue;
+    const d = dayOf(ms);
+    if (!legacyByDay.has(d)) legacyByDay.set(d, []);
+    legacyByDay.get(d).push(k);
+  }
+
+  const beforeMs = eventKeyMs(before);
+  const lastMs = beforeMs === null ? toMs : Math.min(toMs, beforeMs);
+  const fromDay = dayOf(fromMs);
+  const toDay = dayOf(lastMs);
+
+  const days = [
+    ...new Set([
+      ...directories.map((d) => d.slice(livePrefix.length).replace(/\/$/, "")),
+      ...archiveDays,
+      ...legacyByDay.keys(),
+    ]),
+  ]
+    .filter((d) => d >= fromDay && d <= toDay)
+    .sort()
+    .reverse();
+
+  const out = [];
+  let scanned = 0;
+  let last = "";
+
+  for (const day of days) {
+    const { blobs = [] } = await store.list({ prefix: `${livePrefix}${day}/` });
+    const byKey = new Map();
+    for (const b of blobs) byKey.set(b.key.slice(livePrefix.length + day.length + 1), null);
+    for (const k of legacyByDay.get(day) || []) if (!byKey.has(k)) byKey.set(k, null);
+    if (archiveDays.includes(day)) {
+      for (const r of await readArchiveDay(store, day, { account, location })) byKey.set(r.key, r.ev);
+    }
+
+    const keys = [...byKey.keys()]
+      .filter((k) => {
+        const ms = eventKeyMs(k);
+        return ms !== null && ms >= fromMs && ms <= toMs && (!before || k < before);
+      })
+      .sort()
+      .reverse();
+
+    for (const key of keys) {
+      if (scanned >= budget) return { events: out, next: last || null, scanned };
+
+      const ev = byKey.get(key) ?? (await readJSON(store, key, null));
+      scanned++;
+      last = key;
+
+      if (ev && typeof ev === "object" && accept(ev, key)) {
+        out.push({ key, ev });
+        if (out.length >= limit) return { events: out, next: key, scanned };
+      }
+    }
+  }
+
+  return { events: out, next: null, scanned };
+}
+
+// ---------- purge ----------
+// Delete everything stored for one location: its events (live shards and the
+// legacy index:loc list), archived parts, summary patches + cache, and its
+// entry in the legacy locations:<account> list. Work is capped per call;
+// `more: true` means call again. Events go first, so an interrupted purge
+// still leaves the location listed (and retryable) until the end.
+export async function purgeLocationData(store, { account, location, maxEvents = 1000 }) {
+  const prefix = locIndexPrefix(account, location);
+  const legacyKey = `index:loc:${account}:${location}`;
+
+  const { blobs: shards = [] } = await store.list({ prefix });
+  const legacy = normalizeIndex(await readJSON(store, legacyKey, null));
+
+  const keys = [...new Set([...shards.map((b) => b.key.slice(prefix.length).split("/")[1]), ...legacy])]
+    .filter(Boolean);
+  const batch = keys.slice(0, maxEvents);
+  const ev = { account, location };
+
+  await mapLimit(batch, 8, async (key) => {
+    // legacy rows may predate the account field: only drop rows that match
+    const row = await readJSON(store, key, null);
+    if (row && String(row.account || account) !== String(account)) return;
+    await removeEvent(store, key, ev);
+  });
+
+  if (keys.length > batch.length) {
+    return { events: batch.length, more: true };
+  }
+
+  await store.delete(legacyKey).catch(() => {});
+
+  // archived parts, every day
+  const archiveParts = [];
+  for (const day of await listArchiveDays(store)) {
+    const { blobs = [] } = await store.list({ prefix: archivePrefix(day, account, location) });
+    archiveParts.push(...blobs.map((b) => b.key));
+  }
+
+  const { blobs: patches = [] } = await store.list({ prefix: patchPrefix(account, location) });
+
+  await mapLimit([...archiveParts, ...patches.map((b) => b.key), summaryKey(account, location)], 8, (k) =>
+    store.delete(k).catch(() => {})
+  );
+
+  // legacy list is no longer written by ingest, so a rewrite here is safe
+  const list = await readJSON(store, `locations:${account}`, null);
+  if (Array.isArray(list) && list.some((r) => r && String(r.location) === String(location))) {
+    await store.set(
+      `locations:${account}`,
+      JSON.stringify(list.filter((r) => !(r && String(r.location) === String(location))))
+    );
+  }
+
+  return { events: batch.length, archive_parts: archiveParts.length, more: false };
+}
+
+// ---------- location summaries ----------
+function foldPatches(base, patches, account, location) {
+  const out = { ...SUMMARY_DEFAULTS, ...(base || {}), location, account };
+  const clock = { ...(base?._clock || {}) };
+
+  for (const { id, patch } of patches) {
+    for (const [field, value] of Object.entries(patch?.fields || {})) {
+      if (clock[field] && clock[field] >= id) continue;
+      out[field] = value;
+      clock[field] = id;
+    }
+  }
+
+  out._clock = clock;
+  return out;
+}
+
+function publicSummary(s) {
+  const { _clock, ...rest } = s || {};
+  return rest;
+}
+
+async function readPatches(store, account, location) {
+  const prefix = patchPrefix(account, location);
+  const { blobs = [] } = await store.list({ prefix });
+
+  const ids = blobs.map((b) => b.key.slice(prefix.length)).sort();
+  const patches = await Promise.all(
+    ids.map(async (id) => ({ id, patch: await readJSON(store, prefix + id, null) }))
+  );
+  return patches.filter((p) => p.patch);
+}
+
+async function foldLocation(store, account, location) {
+  const [base, patches] = await Promise.all([
+    readJSON(store, summaryKey(account, location), {}),
+    readPatches(store, account, location),
+  ]);
+  return { summary: foldPatches(base, patches, account, location), patches };
+}
+
+export async function readLocationSummary(store, account, location) {
+  const { summary } = await foldLocation(store, account, location);
+  return publicSummary(summary);
+}
+
+// Summary plus when each field was last written ({ field: ms }). Fields that
+// were never written only hold SUMMARY_DEFAULTS and are absent from `written`.
+export async function readLocationFields(store, account, location) {
+  const { summary } = await foldLocation(store, account, location);
+  const written = {};
+  for (const [field, id] of Object.entries(summary._clock || {})) {
+    const ms = Number(String(id).split(":")[0]);
+    if (Number.isFinite(ms)) written[field] = ms;
+  }
+  return { summary: publicSummary(summary), written };
+}
+
+// Record the summary fields this ingest is allowed to write, then refresh the
+// cached summary. `fields` must only hold values the caller may overwrite.
+export async function applyLocationPatch(store, { account, location, fields }, ms = Date.now()) {
+  const prefix = patchPrefix(account, location);
+  await store.set(prefix + newId(ms), JSON.stringify({ fields }));
+
+  const { summary, patches } = await foldLocation(store, account, location);
+  await store.set(summaryKey(account, location), JSON.stringify(summary));
+
+  const cutoff = `${Date.now() - PATCH_RETENTION_MS}`;
+  const expired = patches.filter((p) => p.id < cutoff);
+  await Promise.all(expired.map((p) => store.delete(prefix + p.id).catch(() => {})));
+
+  return publicSummary(summary);
+}
+
+// What applyLocationPatch would produce, without writing anything.
+export async function previewLocationPatch(store, { account, location, fields }) {
+  const { summary } = await foldLocation(store, account, location);
+  const after = foldPatches(summary, [{ id: newId(), patch: { fields } }], account, location);
+  return { before: publicSummary(summary), after: publicSummary(after) };
+}
+
+// Location names of one account: live index shards + the legacy list
+export async function listLocationNames(store, account) {
+  const names = new Set();
+
+  const prefix = `ix/loc/${seg(account)}/`;
+  const { directories = [] } = await store.list({ prefix, directories: true });
+  for (const dir of directories) {
+    const name = unseg(dir.slice(prefix.length).replace(/\/$/, ""));
+    if (name) names.add(name);
+  }
+
+  const legacy = await readJSON(store, `locations:${account}`, []);
+  if (Array.isArray(legacy)) {
+    for (const r of legacy) if (r && r.location) names.add(String(r.location));
+  }
+
+  return [...names];
+}
+
+// { <location>: newest patch id } for one account. Every summary change
+// appends a patch and compaction keeps the newest one, so this is a cheap
+// change stamp (one list call) for cached summaries.
+export async function listLocationPatchHeads(store, account) {
+  const prefix = `locpatch/${seg(account)}/`;
+  const { blobs = [] } = await store.list({ prefix });
+
+  const heads = {};
+  for (const b of blobs) {
+    const [loc, id] = b.key.slice(prefix.length).split("/");
+    const location = unseg(loc);
+    if (id && !(heads[location] >= id)) heads[location] = id;
+  }
+  return heads;
+}
+
+export async function listLocationSummaries(store, account) {
+  const names = await listLocationNames(store, account);
+  const out = await Promise.all(
+    names.map((location) => readLocationSummary(store, account, location))
+  );
+
+  return out.sort(
+    (a, b) => (Date.parse(b.last_seen) || 0) - (Date.parse(a.last_seen) || 0)
+  );
+}
@@ -0,0 +1,231 @@
+// functions/_lib/metrics.js
+// ACX Matrix metric registry (blob-backed, one key per metric)
+// Exports: BUILTIN_METRICS, loadMetricRegistry, validateMetricDef,
+//          saveMetricDef, deleteMetricDef, metricAliases
+//
+// Stored as metrics/<name> in the Matrix store. The four built-in metrics are
+// always present; a stored def with a built-in name only overrides its display
+// fields and adds aliases (the name and ingest aliases below are LOCKED).
+//
+// Def shape:
+//   name              storage/field key (lowercase snake_case)
+//   label             tile / table header text
+//   aliases           extra payload keys accepted at ingest
+//   unit              display suffix ("%", "ms", "")
+//   type              number | integer
+//   aggregation       last | sum | avg | min | max  (how bucketed values combine)
+//   higher_is_better  drives trend colouring on the dashboard
+//   sparkline         show a mini chart on the location tile
+//   series_key        key used in summary series points (defaults to name)
+//   order             sort order for tiles / columns
+
+export const BUILTIN_METRICS = [
+  {
+    name: "uptime",
+    label: "Uptime",
+    aliases: ["uptime"],
+    unit: "%",
+    type: "number",
+    aggregation: "avg",
+    higher_is_better: true,
+    sparkline: true,
+    series_key: "uptime",
+    order: 10,
+    builtin: true,
+  },
+  {
+    name: "conversion",
+    label: "Conv",
+    aliases: ["conversion", "conv"],
+    unit: "%",
+    type: "number",
+    aggregation: "avg",
+    higher_is_better: true,
+    sparkline: true,
+    series_key: "conv",
+    order: 20,
+    builtin: true,
+  },
+  {
+    name: "response_ms",
+    label: "Resp",
+    aliases: ["response_ms", "resp"],
+    unit: "ms",
+    type: "number",
+    aggregation: "avg",
+    higher_is_better: false,
+    sparkline: true,
+    series_key: "resp",
+    order: 30,
+    builtin: true,
+  },
+  {
+    name: "quotes_recovered",
+    label: "Quotes",
+    aliases: ["quotes_recovered", "quotes", "quotes_recove"],
+    unit: "",
+    type: "integer",
+    aggregation: "sum",
+    higher_is_better: true,
+    sparkline: false,
+    series_key: "quotes",
+    order: 40,
+    builtin: true,
+  },
+];
+
+// Event/summary fields a metric may never shadow
+const RESERVED = new Set([
+  "ts",
+  "account",
+  "acct",
+  "location",
+  "location_id",
+  "locationid",
+  "integrity",
+  "acx_integrity",
+  "run_id",
+  "runid",
+  "source",
+  "event_name",
+  "acx_event",
+  "stage",
+  "acx_stage",
+  "priority",
+  "event_at",
+  "contact_id",
+  "contactid",
+  "opportunity_id",
+  "opportunityid",
+  "last_seen",
+  "customdata",
+  "data",
+  // caller stamped on every event row by acx-matrix-webhook (_lib/api-keys.js)
+  "key_id",
+  "keyid",
+  "forwarded_by",
+  "forwardedby",
+  // location registry fields merged into summary tiles (_lib/locations.js)
+  "display_name",
+  "client",
+  "timezone",
+  "tags",
+  "owner_email",
+  "expected_interval_min",
+  // stale marker written by acx-matrix-stale (_lib/staleness.js)
+  "stale",
+  "stale_since",
+  "stale_last_seen",
+  // anomaly flags on event rows (_lib/baselines.js)
+  "anomaly",
+]);
+
+const TYPES = ["number", "integer"];
+const AGGREGATIONS = ["last", "sum", "avg", "min", "max"];
+const PREFIX = "metrics/";
+
+const toBool = (v, d) => (v === undefined || v === null || v === "" ? d : v === true || v === "true" || v === 1 || v === "1");
+
+const cleanAliases = (list) =>
+  (Array.isArray(list) ? list : String(list || "").split(","))
+    .map((a) => String(a || "").trim())
+    .filter(Boolean)
+    .slice(0, 20);
+
+// Returns { ok: true, def } or { ok: false, error }
+export function validateMetricDef(input) {
+  const raw = input && typeof input === "object" ? input : {};
+  const name = String(raw.name || "").trim().toLowerCase();
+
+  if (!/^[a-z][a-z0-9_]{1,39}$/.test(name)) {
+    return { ok: false, error: "name must be 2-40 chars of a-z, 0-9, _ (starting with a letter)" };
+  }
+  if (RESERVED.has(name)) return { ok: false, error: `name "${name}" is reserved` };
+
+  const builtin = BUILTIN_METRICS.find((m) => m.name === name);
+
+  const type = String(raw.type || builtin?.type || "number").toLowerCase();
+  if (!TYPES.includes(type)) return { ok: false, error: `type must be one of ${TYPES.join(", ")}` };
+
+  const aggregation = String(raw.aggregation || builtin?.aggregation || "last").toLowerCase();
+  if (!AGGREGATIONS.includes(aggregation)) {
+    return { ok: false, error: `aggregation must be one of ${AGGREGATIONS.join(", ")}` };
+  }
+
+  const order = Number(raw.order);
+
+  return {
+    ok: true,
+    def: {
+      name,
+      label: String(raw.label || builtin?.label || name).trim().slice(0, 40),
+      aliases: cleanAliases(raw.aliases),
+      unit: String(raw.unit ?? builtin?.unit ?? "").trim().slice(0, 12),
+      type,
+      aggregation,
+      higher_is_better: toBool(raw.higher_is_better, builtin?.higher_is_better ?? true),
+      sparkline: toBool(raw.sparkline, builtin?.sparkline ?? false),
+      order: Number.isFinite(order) ? order : builtin?.order ?? 100,
+    },
+  };
+}
+
+// Built-ins (with stored overrides) + custom metrics, sorted by order
+export async function loadMetricRegistry(store) {
+  const stored = new Map();
+
+  try {
+    const { blobs = [] } = await store.list({ prefix: PREFIX });
+    const defs = await Promise.all(
+      blobs.map((b) => store.get(b.key, { type: "json" }).catch(() => null))
+    );
+    for (const d of defs) {
+      const v = validateMetricDef(d);
+      if (v.ok) stored.set(v.def.name, v.def);
+    }
+  } catch {
+    // registry unavailable: built-ins still work
+  }
+
+  const out = BUILTIN_METRICS.map((b) => {
+    const o = stored.get(b.name);
+    stored.delete(b.name);
+    if (!o) return { ...b };
+    return {
+      ...b,
+      label: o.label,
+      unit: o.unit,
+      higher_is_better: o.higher_is_better,
+      sparkline: o.sparkline,
+      order: o.order,
+      // LOCKED ingest aliases stay first; stored ones are additive
+      aliases: [...new Set([...b.aliases, ...o.aliases])],
+    };
+  });
+
+  for (const d of stored.values()) {
+    out.push({ ...d, series_key: d.name, builtin: false });
+  }
+
+  return out.sort((a, b) => a.order - b.order || a.name.localeCompare(b.name));
+}
+
+// Payload keys accepted for a metric (its name always counts)
+export function metricAliases(def) {
+  return [...new Set([def.name, ...(def.aliases || [])])];
+}
+
+export async function saveMetricDef(store, input) {
+  const v = validateMetricDef(input);
+  if (!v.ok) return v;
+  await store.set(PREFIX + v.def.name, JSON.stringify(v.def));
+  return v;
+}
+
+// Custom metrics are removed; built-ins just lose their stored override.
+export async function deleteMetricDef(store, name) {
+  const key = String(name || "").trim().toLowerCase();
+  if (!key) return { ok: false, error: "Missing name" };
+  await store.delete(PREFIX + key);
+  return { ok: true, reset: BUILTIN_METRICS.some((m) => m.name === key) };
+}
@@ -0,0 +1,267 @@
+// functions/_lib/rollups.js
+// ACX Matrix hourly + daily rollups per location (built by acx-matrix-rollup)
+// Exports: buildRollups, readRollupSeries, deleteRollups, RESOLUTIONS
+//
+//   rollup/hour/<account>/<location>/<YYYY-MM-DDTHH>
+//   rollup/day/<account>/<location>/<YYYY-MM-DD>
+//   rollup/cursor                                    last closed hour built
+//
+// Bucket shape:
+//   { bucket, start, account, location, count,
+//     metrics: { <name>: { min, max, avg, sum, count, last } },
+//     integrity_ms: { ok, degraded, critical, unknown },
+//     integrity_end, covered_ms,
+//     anomalies: { <name>: n },        events flagged at ingest (_lib/baselines.js)
+//     samples: { <name>: [values…] } } hour buckets only, feeds the baselines
+//
+// Same write locks as the summary: metric stats only come from sources that
+// may write metrics (ingest / ingest_form), integrity time only from Sentinel
+// rows. Integrity carries over from the previous hour, so idle hours still
+// count towards the state the location was in.
+//
+// Buckets are recomputed from events (never incremented), so re-running a
+// window, or two overlapping runs, always converge on the same result.
+// Buckets are keyed by ingest time (the event key), like the index shards.
+// Each location's rebuilt hours are folded into its baseline afterwards.
+
+import { readJSON, eventKeyMs, mapLimit, listIndexedLocations, listDayEventKeys } from "./matrix-store.js";
+import { loadMetricRegistry } from "./metrics.js";
+import { BASELINE_METRICS, pickSamples, updateBaseline } from "./baselines.js";
+
+export const RESOLUTIONS = ["raw", "hour", "day"];
+
+const HOUR_MS = 60 * 60 * 1000;
+const MAX_CATCHUP_HOURS = 48;
+const FIRST_RUN_HOURS = 24;
+
+const METRIC_SOURCES = new Set(["ingest", "ingest_form"]);
+const STATES = ["ok", "degraded", "critical"];
+
+const seg = (s) => encodeURIComponent(String(s || ""));
+const hourOf = (ms) => new Date(ms).toISOString().slice(0, 13);
+const hourStart = (hour) => Date.parse(`${hour}:00:00.000Z`);
+
+const bucketPrefix = (res, account, location) => `rollup/${res}/${seg(account)}/${seg(location)}/`;
+
+const emptyIntegrity = () => ({ ok: 0, degraded: 0, critical: 0, unknown: 0 });
+
+function addStat(stats, name, value) {
+  const s = stats[name] || (stats[name] = { min: value, max: value, sum: 0, count: 0, last: value });
+  s.min = Math.min(s.min, value);
+  s.max = Math.max(s.max, value);
+  s.sum += value;
+  s.count += 1;
+  s.last = value;
+}
+
+function finishStats(stats) {
+  for (const s of Object.values(stats)) s.avg = s.count ? s.sum / s.count : null;
+  return stats;
+}
+
+// One hour bucket from that hour's events (oldest first)
+function hourBucket({ account, location, hour, rows, registry, carryIn, now }) {
+  const start = hourStart(hour);
+  const end = Math.min(start + HOUR_MS, now);
+
+  const metrics = {};
+  const integrity_ms = emptyIntegrity();
+  const anomalies = {};
+  const values = Object.fromEntries(BASELINE_METRICS.map((b) => [b.name, []]));
+  let state = carryIn || "unknown";
+  let t = start;
+
+  for (const { key, ev } of rows) {
+    const ms = eventKeyMs(key);
+
+    if (METRIC_SOURCES.has(String(ev.source || ""))) {
+      for (const m of registry) {
+        const v = ev[m.name];
+        if (v !== null && v !== undefined && v !== "" && Number.isFinite(Number(v))) {
+          addStat(metrics, m.name, Number(v));
+          values[m.name]?.push(Number(v));
+        }
+      }
+      for (const name of Object.keys(ev.anomaly || {})) anomalies[name] = (anomalies[name] || 0) + 1;
+    }
+
+    const integ = String(ev.integrity || "").toLowerCase();
+    if (ev.source === "sentinel" && STATES.includes(integ)) {
+      integrity_ms[state] += Math.max(0, ms - t);
+      state = integ;
+      t = Math.max(t, ms);
+    }
+  }
+  integrity_ms[state] += Math.max(0, end - t);
+
+  return {
+    bucket: hour,
+    start: new Date(start).toISOString(),
+    account,
+    location,
+    count: rows.length,
+    metrics: finishStats(metrics),
+    integrity_ms,
+    integrity_end: state,
+    covered_ms: Math.max(0, end - start),
+    anomalies,
+    samples: Object.fromEntries(
+      Object.entries(values)
+        .filter(([, v]) => v.length)
+        .map(([name, v]) => [name, pickSamples(v)])
+    ),
+  };
+}
+
+// Fold a day's hour buckets (oldest first) into one day bucket
+function dayBucket({ account, location, day, hours }) {
+  const metrics = {};
+  const integrity_ms = emptyIntegrity();
+  const anomalies = {};
+  let count = 0;
+  let covered_ms = 0;
+
+  for (const h of hours) {
+    count += h.count || 0;
+    covered_ms += h.covered_ms || 0;
+    for (const [k, n] of Object.entries(h.anomalies || {})) anomalies[k] = (anomalies[k] || 0) + n;
+    for (const [k, v] of Object.entries(h.integrity_ms || {})) {
+      integrity_ms[k] = (integrity_ms[k] || 0) + v;
+    }
+    for (const [name, s] of Object.entries(h.metrics || {})) {
+      const d = metrics[name];
+      metrics[name] = d
+        ? {
+            min: Math.min(d.min, s.min),
+            max: Math.max(d.max, s.max),
+            sum: d.sum + s.sum,
+            count: d.count + s.count,
+            last: s.last,
+          }
+        : { min: s.min, max: s.max, sum: s.sum, count: s.count, last: s.last };
+    }
+  }
+
+  return {
+    bucket: day,
+    start: `${day}T00:00:00.000Z`,
+    account,
+    location,
+    count,
+    metrics: finishStats(metrics),
+    integrity_ms,
+    integrity_end: hours.length ? hours[hours.length - 1].integrity_end : "unknown",
+    covered_ms,
+    anomalies,
+  };
+}
+
+async function buildLocation(store, { account, location, hours, registry, now }) {
+  const dayKeys = new Map(); // day -> event keys (listed once per day)
+  const keysFor = async (day) => {
+    if (!dayKeys.has(day)) dayKeys.set(day, await listDayEventKeys(store, { account, location, day }));
+    return dayKeys.get(day);
+  };
+
+  const hourPrefix = bucketPrefix("hour", account, location);
+  const prev = await readJSON(store, hourPrefix + hourOf(hourStart(hours[0]) - HOUR_MS), null);
+  let carryIn = prev?.integrity_end || "unknown";
+
+  const days = new Set();
+  const built = [];
+  for (const hour of hours) {
+    const start = hourStart(hour);
+    const keys = (await keysFor(hour.slice(0, 10))).filter((k) => {
+      const ms = eventKeyMs(k);
+      return ms >= start && ms < start + HOUR_MS;
+    });
+
+    const rows = (
+      await mapLimit(keys, 8, async (key) => ({ key, ev: await readJSON(store, key, null) }))
+    ).filter((r) => r.ev);
+
+    // Nothing happened and nothing is known: no bucket
+    if (!rows.length && carryIn === "unknown") continue;
+
+    const b = hourBucket({ account, location, hour, rows, registry, carryIn, now });
+    await store.set(hourPrefix + hour, JSON.stringify(b));
+    built.push(b);
+    carryIn = b.integrity_end;
+    days.add(hour.slice(0, 10));
+  }
+
+  for (const day of days) {
+    const { blobs = [] } = await store.list({ prefix: `${hourPrefix}${day}T` });
+    const hourBuckets = (
+      await mapLimit(blobs.map((b) => b.key).sort(), 8, (k) => readJSON(store, k, null))
+    ).filter(Boolean);
+    const d = dayBucket({ account, location, day, hours: hourBuckets });
+    await store.set(bucketPrefix("day", account, location) + day, JSON.stringify(d));
+  }
+
+  if (built.length) await updateBaseline(store, { account, location, buckets: built, now });
+
+  return days.size;
+}
+
+// Rebuild every hour since the cursor (capped) for every indexed location.
+export async function buildRollups(store, { now = Date.now() } = {}) {
+  const cursor = await readJSON(store, "rollup/cursor", null);
+  const current = hourStart(hourOf(now));
+
+  let from = cursor?.hour
+    ? hourStart(cursor.hour) + HOUR_MS
+    : current - (FIRST_RUN_HOURS - 1) * HOUR_MS;
+  from = Math.max(from, current - MAX_CATCHUP_HOURS * HOUR_MS);
+
+  const hours = [];
+  for (let t = from; t <= current; t += HOUR_MS) hours.push(hourOf(t));
+
+  const registry = await loadMetricRegistry(store);
+  const locations = await listIndexedLocations(store);
+
+  await mapLimit(locations, 4, (loc) => buildLocation(store, { ...loc, hours, registry, now }));
+
+  // The current hour stays open: it is rebuilt on the next run too
+  await store.set("rollup/cursor", JSON.stringify({ hour: hourOf(current - HOUR_MS), at: new Date(now).toISOString() }));
+
+  return { hours: hours.length, from: hours[0], to: hours[hours.length - 1], locations: locations.length };
+}
+
+// Series points for one location at hour/day resolution, oldest first.
+// Each point mirrors a raw series point ({ ts, <series_key>..., integrity })
+// using the metric's own aggregation, plus count / stats / integrity_ms and
+// anomalies (names of metrics with flagged events in the bucket).
+export async function readRollupSeries(store, { account, location, resolution, points, registry }) {
+  const prefix = bucketPrefix(resolution, account, location);
+  const { blobs = [] } = await store.list({ prefix });
+  const keys = blobs.map((b) => b.key).sort().slice(-points);
+
+  const buckets = (await mapLimit(keys, 8, (k) => readJSON(store, k, null))).filter(Boolean);
+
+  return buckets.map((b) => ({
+    ts: b.start,
+    ...Object.fromEntries(
+      registry.map((m) => {
+        const s = b.metrics?.[m.name];
+        return [m.series_key, s ? s[m.aggregation] ?? s.avg : null];
+      })
+    ),
+    integrity: b.integrity_end,
+    count: b.count,
+    stats: b.metrics,
+    integrity_ms: b.integrity_ms,
+    anomalies: Object.keys(b.anomalies || {}),
+  }));
+}
+
+// Drop every hour + day bucket of one location (location purge)
+export async function deleteRollups(store, { account, location }) {
+  let deleted = 0;
+  for (const res of ["hour", "day"]) {
+    const { blobs = [] } = await store.list({ prefix: bucketPrefix(res, account, location) });
+    await mapLimit(blobs, 8, (b) => store.delete(b.key).catch(() => {}));
+    deleted += blobs.length;
+  }
+  return deleted;
+}
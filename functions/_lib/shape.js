@@ -10,7 +10,9 @@ function toStr(v) {
   return `${v}`;
 }
 
-export function normalize(payload = {}) {
+// `metrics` (optional): registry from _lib/metrics.js; custom metrics are
+// added to the output alongside the built-ins.
+export function normalize(payload = {}, metrics = []) {
   const root = payload || {};
   const cd = root.customData || root.custom_data || root.custom || {};
   const cdKey = (k) => (cd[k] !== undefined ? cd[k] : cd[`customData[${k}]`]);
@@ -24,5 +26,12 @@ export function normalize(payload = {}) {
   const integrity = toStr(firstDefined(cdKey("integrity"), root.integrity, root.integrity_status, root["Integrity Status"], root["Integrity Status (field)"], root["ACX Matrix Integrity Status"]));
   const run_id = toStr(firstDefined(cdKey("run_id"), cdKey("test_run_id"), root.run_id, root.test_run_id, root["Test Run ID"], root["ACX Matrix Test Run ID"]));
 
-  return { account, location, uptime, conversion, response_ms, quotes_recovered, integrity, run_id };
+  const custom = {};
+  for (const m of metrics) {
+    if (m.builtin) continue;
+    const keys = [m.name, ...(m.aliases || [])];
+    custom[m.name] = toStr(firstDefined(...keys.map(cdKey), ...keys.map((k) => root[k])));
+  }
+
+  return { account, location, uptime, conversion, response_ms, quotes_recovered, ...custom, integrity, run_id };
 }
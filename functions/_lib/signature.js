@@ -0,0 +1,188 @@
+// functions/_lib/signature.js
+// ACX signed requests (HMAC-SHA256 over timestamp + raw body, replay-safe)
+// Exports: verifyRequest, signedHeaders, signWithSecret, hasSigningKey,
+//          purgeExpiredNonces
+//
+// Sender headers:
+//   X-ACX-Key-Id:     which shared key signed it (optional if only one key)
+//   X-ACX-Timestamp:  unix seconds
+//   X-ACX-Signature:  v1=<hex hmac_sha256(secret, `${timestamp}.${rawBody}`)>
+//   X-ACX-Nonce:      optional; when sent it is signed too:
+//                     hmac_sha256(secret, `${timestamp}.${nonce}.${rawBody}`)
+//                     (lets identical bodies be sent twice in the same second)
+//
+// Keys: ACX_SIGNING_KEYS =
+//   {"<id>": {"secret": "...", "legacy": true|false, "scopes": ["matrix:read", ...]}}
+// When unset, the existing env secrets become keys with legacy on, so current
+// callers keep working until each key is migrated. Each keeps only what its
+// secret used to open:
+//   default = ACX_SECRET           every scope
+//   webhook = ACX_WEBHOOK_SECRET   integrity:write (+ acx-matrix-public-health)
+//   x_acx   = X_ACX_SECRET         integrity:write
+// A key without `scopes` holds every scope (see _lib/api-keys.js).
+//
+// `legacy: true` is the per-key migration flag: the plaintext x-acx-secret
+// header is still accepted for that key. Turn it off once its callers sign.
+//
+// Replays: each accepted signature is claimed under nonce/<hour>/<sig>/; a
+// second request with the same signature inside the window is rejected.
+
+import crypto from "crypto";
+import { getMatrixStore } from "./matrix-store.js";
+
+const DEFAULT_TOLERANCE_SEC = 300;
+
+function toleranceSec() {
+  const n = Number(process.env.ACX_SIGNATURE_TOLERANCE_SEC);
+  return Number.isFinite(n) && n > 0 ? n : DEFAULT_TOLERANCE_SEC;
+}
+
+function loadSigningKeys() {
+  const keys = new Map();
+  const raw = (process.env.ACX_SIGNING_KEYS || "").trim();
+
+  if (raw) {
+    try {
+      const obj = JSON.parse(raw);
+      for (const [id, v] of Object.entries(obj || {})) {
+        const secret = String(v?.secret || "").trim();
+        const scopes = Array.isArray(v?.scopes) ? v.scopes.map(String) : null;
+        if (id && secret) keys.set(id, { id, secret, legacy: v?.legacy === true, scopes });
+      }
+      return keys;
+    } catch {
+      console.error("ACX_SIGNING_KEYS_INVALID_JSON");
+    }
+  }
+
+  const fromEnv = [
+    ["default", process.env.ACX_SECRET, null],
+    ["webhook", process.env.ACX_WEBHOOK_SECRET, ["integrity:write"]],
+    ["x_acx", process.env.X_ACX_SECRET, ["integrity:write"]],
+  ];
+  for (const [id, v, scopes] of fromEnv) {
+    const secret = String(v || "").trim();
+    if (secret) keys.set(id, { id, secret, legacy: true, scopes });
+  }
+  return keys;
+}
+
+function safeEqual(a, b) {
+  const x = Buffer.from(String(a || ""));
+  const y = Buffer.from(String(b || ""));
+  if (x.length !== y.length) return false;
+  return crypto.timingSafeEqual(x, y);
+}
+
+const hmac = (secret, ts, rawBody, nonce = "") =>
+  crypto
+    .createHmac("sha256", secret)
+    .update(nonce ? `${ts}.${nonce}.${rawBody}` : `${ts}.${rawBody}`)
+    .digest("hex");
+
+const header = (req, name) => String(req.headers.get(name) || "").trim();
+
+const fail = (reason) => ({ ok: false, reason });
+
+// Earliest claim wins (same pattern as claimIdempotency in matrix-store.js)
+async function claimNonce(store, ts, sig) {
+  const hour = new Date(ts * 1000).toISOString().slice(0, 13);
+  const prefix = `nonce/${hour}/${sig}/`;
+  const mine = `${Date.now()}:${Math.random().toString(36).slice(2, 10)}`;
+
+  await store.set(prefix + mine, "1");
+  const { blobs = [] } = await store.list({ prefix });
+  const first = blobs.map((b) => b.key.slice(prefix.length)).sort()[0] || mine;
+  return first === mine;
+}
+
+// Returns { ok: true, keyId, scopes, mode: "signed" | "legacy" } or { ok: false, reason }
+// scopes === null means unrestricted
+export async function verifyRequest(req, rawBody, { store = null } = {}) {
+  const keys = loadSigningKeys();
+  if (!keys.size) return fail("no_keys_configured");
+
+  const sigHeader = header(req, "x-acx-signature");
+
+  if (sigHeader) {
+    const keyId = header(req, "x-acx-key-id");
+    const candidates = keyId ? [keys.get(keyId)].filter(Boolean) : [...keys.values()];
+    if (!candidates.length) return fail("unknown_key");
+
+    const ts = Number(header(req, "x-acx-timestamp"));
+    if (!Number.isFinite(ts) || ts <= 0) return fail("missing_timestamp");
+    if (Math.abs(Date.now() / 1000 - ts) > toleranceSec()) {
+      return fail("timestamp_out_of_window");
+    }
+
+    const nonce = header(req, "x-acx-nonce").slice(0, 100);
+    const provided = sigHeader.replace(/^v1=/, "").toLowerCase();
+    const key = candidates.find((k) => safeEqual(provided, hmac(k.secret, ts, rawBody, nonce)));
+    if (!key) return fail("bad_signature");
+
+    const fresh = await claimNonce(store || getMatrixStore(), ts, provided);
+    if (!fresh) return fail("replayed");
+
+    return { ok: true, keyId: key.id, scopes: key.scopes, mode: "signed" };
+  }
+
+  const legacy = header(req, "x-acx-secret");
+  if (legacy) {
+    const key = [...keys.values()].find((k) => safeEqual(legacy, k.secret));
+    if (!key) return fail("bad_secret");
+    if (!key.legacy) return fail("legacy_disabled_for_key");
+    return { ok: true, keyId: key.id, scopes: key.scopes, mode: "legacy" };
+  }
+
+  return fail("missing_signature");
+}
+
+function signingKey() {
+  const keys = loadSigningKeys();
+  const wanted = (process.env.ACX_SIGNING_KEY_ID || "").trim();
+  return (wanted && keys.get(wanted)) || keys.values().next().value || null;
+}
+
+export function hasSigningKey() {
+  return !!signingKey();
+}
+
+// Headers for an internal forward of `rawBody` (the exact string sent)
+export function signedHeaders(rawBody) {
+  const key = signingKey();
+  if (!key) throw new Error("No ACX signing key configured");
+
+  const ts = Math.floor(Date.now() / 1000);
+  const nonce = crypto.randomBytes(12).toString("hex");
+  return {
+    "X-ACX-Key-Id": key.id,
+    "X-ACX-Timestamp": String(ts),
+    "X-ACX-Nonce": nonce,
+    "X-ACX-Signature": `v1=${hmac(key.secret, ts, rawBody, nonce)}`,
+  };
+}
+
+// Same scheme with a caller-held secret (outbound subscriptions,
+// _lib/subscriptions.js), so receivers verify it exactly like ACX does
+export function signWithSecret(secret, rawBody, ts = Math.floor(Date.now() / 1000)) {
+  return {
+    "X-ACX-Timestamp": String(ts),
+    "X-ACX-Signature": `v1=${hmac(secret, ts, rawBody)}`,
+  };
+}
+
+// Drop nonce buckets that can no longer match a request inside the window
+export async function purgeExpiredNonces(store, now = Date.now()) {
+  const cutoff = new Date(now - (toleranceSec() + 3600) * 1000).toISOString().slice(0, 13);
+  const { blobs = [] } = await store.list({ prefix: "nonce/" });
+
+  let deleted = 0;
+  for (const b of blobs) {
+    const hour = b.key.slice("nonce/".length, "nonce/".length + 13);
+    if (hour < cutoff) {
+      await store.delete(b.key).catch(() => {});
+      deleted++;
+    }
+  }
+  return deleted;
+}
@@ -0,0 +1,372 @@
+// functions/_lib/sla-report.js
+// Monthly SLA statement per location (served by acx-matrix-sla-report)
+// Exports: buildSlaReport, slaReportCsv, slaReportHtml, parseReportMonth
+//
+// Per location, for one account and one UTC calendar month:
+//   uptime_avg            mean of the uptime metric from ingest rows
+//                         (day rollups where built, raw events otherwise)
+//   critical_ms, degraded_ms, availability_pct
+//   incidents, recovered, mttr_ms, longest_outage_ms
+//                         from the integrity transition log (_lib/transitions.js)
+//
+// The HTML statement uses the same house style as the acx-sentinel-repair
+// emails (white card, severity bar, pill badge, dark footer bar with logo).
+
+import { readJSON, mapLimit, listLocationSummaries, readEventHistoryPage } from "./matrix-store.js";
+import { listLocationMeta, listArchivedLocations } from "./locations.js";
+import { readTransitions, integrityStats } from "./transitions.js";
+import { escapeHtml, footerBarHtml } from "./email.js";
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const METRIC_SOURCES = new Set(["ingest", "ingest_form"]);
+
+// Events read per day without a rollup bucket
+const DAY_SCAN_BUDGET = 5000;
+
+const seg = (s) => encodeURIComponent(String(s || ""));
+
+// "YYYY-MM" -> { month, fromMs, toMs } (toMs capped at now), default last month
+export function parseReportMonth(raw, now = Date.now()) {
+  let month = String(raw || "").trim();
+  if (!month) {
+    const d = new Date(now);
+    month = new Date(Date.UTC(d.getUTCFullYear(), d.getUTCMonth() - 1, 1)).toISOString().slice(0, 7);
+  }
+  if (!/^\d{4}-(0[1-9]|1[0-2])$/.test(month)) return null;
+
+  const [y, m] = month.split("-").map(Number);
+  const fromMs = Date.UTC(y, m - 1, 1);
+  const endMs = Date.UTC(y, m, 1);
+  if (fromMs > now) return null;
+
+  return { month, fromMs, toMs: Math.min(endMs, now), partial: endMs > now };
+}
+
+const uptimeOf = (ev) => {
+  const v = ev?.uptime ?? ev?.data?.uptime;
+  if (v === null || v === undefined || v === "") return null;
+  const n = Number(v);
+  return Number.isFinite(n) ? n : null;
+};
+
+// { sum, count } of uptime samples for one location across the range
+async function uptimeTotals(store, { account, location, fromMs, toMs }) {
+  let sum = 0;
+  let count = 0;
+
+  for (let day = fromMs; day < toMs; day += DAY_MS) {
+    const name = new Date(day).toISOString().slice(0, 10);
+    const bucket = await readJSON(store, `rollup/day/${seg(account)}/${seg(location)}/${name}`, null);
+
+    const s = bucket?.metrics?.uptime;
+    if (s && Number.isFinite(s.sum) && s.count) {
+      sum += s.sum;
+      count += s.count;
+      continue;
+    }
+    if (bucket) continue; // rolled up, no uptime that day
+
+    const { events } = await readEventHistoryPage(store, {
+      account,
+      location,
+      fromMs: day,
+      toMs: Math.min(day + DAY_MS, toMs) - 1,
+      limit: DAY_SCAN_BUDGET,
+      budget: DAY_SCAN_BUDGET,
+      accept: (ev) => METRIC_SOURCES.has(String(ev.source || "")) && uptimeOf(ev) !== null,
+    });
+    for (const { ev } of events) {
+      sum += uptimeOf(ev);
+      count += 1;
+    }
+  }
+
+  return { sum, count };
+}
+
+export async function buildSlaReport(store, { account, month, fromMs, toMs, partial = false }) {
+  const [summaries, metaRows, archived] = await Promise.all([
+    listLocationSummaries(store, account),
+    listLocationMeta(store, account),
+    listArchivedLocations(store, account),
+  ]);
+
+  const meta = new Map(metaRows.map((m) => [m.location, m]));
+  const skip = new Set(archived.map((a) => a.location));
+  const names = summaries
+    .map((s) => String(s.location || ""))
+    .filter((l) => l && !skip.has(l))
+    .sort();
+
+  const locations = await mapLimit(names, 4, async (location) => {
+    const [uptime, log] = await Promise.all([
+      uptimeTotals(store, { account, location, fromMs, toMs }),
+      readTransitions(store, { account, location, fromMs, toMs }),
+    ]);
+    const stats = integrityStats(log, { fromMs, toMs });
+    const m = meta.get(location) || {};
+
+    return {
+      location,
+      display_name: m.display_name || "",
+      client: m.client || "",
+      uptime_avg: uptime.count ? Math.round((uptime.sum / uptime.count) * 100) / 100 : null,
+      uptime_samples: uptime.count,
+      availability_pct: stats.availability_pct,
+      critical_ms: stats.time_in_state_ms.critical,
+      degraded_ms: stats.time_in_state_ms.degraded,
+      unknown_ms: stats.time_in_state_ms.unknown,
+      incidents: stats.incidents,
+      recovered: stats.recovered,
+      mttr_ms: stats.mttr_ms,
+      longest_outage_ms: stats.longest_outage_ms,
+    };
+  });
+
+  const withUptime = locations.filter((l) => l.uptime_avg !== null);
+  let recoveredMs = 0;
+  const totals = { locations: locations.length, incidents: 0, recovered: 0, critical_ms: 0, degraded_ms: 0 };
+  for (const l of locations) {
+    totals.incidents += l.incidents;
+    totals.recovered += l.recovered;
+    totals.critical_ms += l.critical_ms;
+    totals.degraded_ms += l.degraded_ms;
+    recoveredMs += (l.mttr_ms || 0) * l.recovered;
+  }
+  totals.mttr_ms = totals.recovered ? Math.round(recoveredMs / totals.recovered) : null;
+  totals.uptime_avg = withUptime.length
+    ? Math.round((withUptime.reduce((a, l) => a + l.uptime_avg, 0) / withUptime.length) * 100) / 100
+    : null;
+
+  return {
+    account,
+    month,
+    from: new Date(fromMs).toISOString(),
+    to: new Date(toMs).toISOString(),
+    partial,
+    generated_at: new Date().toISOString(),
+    locations,
+    totals,
+  };
+}
+
+// ---------- formatting ----------
+function fmtDuration(ms) {
+  if (ms === null || ms === undefined) return "—";
+  const mins = Math.round(ms / 60000);
+  if (mins < 1) return ms > 0 ? "<1m" : "0m";
+  const d = Math.floor(mins / 1440);
+  const h = Math.floor((mins % 1440) / 60);
+  const m = mins % 60;
+  return [d ? `${d}d` : "", h ? `${h}h` : "", m || (!d && !h) ? `${m}m` : ""].filter(Boolean).join(" ");
+}
+
+const fmtPct = (v) => (v === null || v === undefined ? "—" : `${v}%`);
+const minutes = (ms) => (ms === null || ms === undefined ? "" : String(Math.round(ms / 60000)));
+
+// Clients open this in Excel: text that would start a formula (=, +, -, @,
+// tab, CR) gets a leading ' so it stays text. Numbers are left as they are.
+function csvCell(v) {
+  let s = String(v ?? "");
+  if (typeof v !== "number" && /^[=+\-@\t\r]/.test(s)) s = `'${s}`;
+  return /[",\n\r]/.test(s) ? `"${s.replace(/"/g, '""')}"` : s;
+}
+
+export function slaReportCsv(report) {
+  const header = [
+    "account",
+    "month",
+    "location",
+    "display_name",
+    "client",
+    "uptime_avg",
+    "uptime_samples",
+    "availability_pct",
+    "critical_min",
+    "degraded_min",
+    "incidents",
+    "recovered",
+    "mttr_min",
+    "longest_outage_min",
+  ];
+
+  const rows = report.locations.map((l) => [
+    report.account,
+    report.month,
+    l.location,
+    l.display_name,
+    l.client,
+    l.uptime_avg ?? "",
+    l.uptime_samples,
+    l.availability_pct ?? "",
+    minutes(l.critical_ms),
+    minutes(l.degraded_ms),
+    l.incidents,
+    l.recovered,
+    minutes(l.mttr_ms),
+    minutes(l.longest_outage_ms),
+  ]);
+
+  return [header, ...rows].map((r) => r.map(csvCell).join(",")).join("\r\n") + "\r\n";
+}
+
+// Same palette as the repair emails: red critical, amber degraded, blue ok
+function severityColor(report) {
+  if (report.locations.some((l) => l.critical_ms > 0)) return "#dc2626";
+  if (report.locations.some((l) => l.degraded_ms > 0)) return "#f59e0b";
+  return "#2563eb";
+}
+
+function summaryBlock(report) {
+  const t = report.totals;
+  const cell = (k, v) => `
+    <td style="padding:10px 8px; vertical-align:top; width:25%;">
+      <div style="color:#777; font-size:12px; line-height:1.4;">${escapeHtml(k)}</div>
+      <div style="font-weight:700; color:#111; font-size:18px; line-height:1.35; margin-top:4px;">${escapeHtml(v)}</div>
+    </td>`;
+
+  return `
+    <div style="border:1px solid #e7e7e7; border-radius:10px; padding:16px;">
+      <div style="font-weight:700; margin:0 0 8px 0; font-size:18px;">Summary</div>
+      <table role="presentation" width="100%" cellspacing="0" cellpadding="0" style="border-collapse:collapse;">
+        <tr>
+          ${cell("Locations", String(t.locations))}
+          ${cell("Average uptime", fmtPct(t.uptime_avg))}
+          ${cell("Incidents", String(t.incidents))}
+          ${cell("Mean time to recover", fmtDuration(t.mttr_ms))}
+        </tr>
+      </table>
+    </div>
+  `.trim();
+}
+
+function locationsBlock(report) {
+  if (!report.locations.length) {
+    return `
+      <div style="border:1px solid #e7e7e7; border-radius:10px; padding:16px; margin-top:10px;">
+        <div style="font-weight:700; margin:0 0 10px 0;">Locations</div>
+        <div style="color:#444;">No monitored locations for this account.</div>
+      </div>
+    `.trim();
+  }
+
+  const th = (label, right) =>
+    `<th style="padding:8px 6px; text-align:${right ? "right" : "left"}; color:#777; font-size:12px; font-weight:700; border-bottom:1px solid #e7e7e7;">${label}</th>`;
+  const td = (v, right, extra = "") =>
+    `<td style="padding:10px 6px; text-align:${right ? "right" : "left"}; border-top:1px solid #f0f0f0; font-size:13px; color:#111; ${extra}">${v}</td>`;
+
+  const rows = report.locations
+    .map((l) => {
+      const name = l.display_name
+        ? `<div style="font-weight:700;">${escapeHtml(l.display_name)}</div><div style="color:#777; font-size:11px;">${escapeHtml(l.location)}</div>`
+        : `<div style="font-weight:700;">${escapeHtml(l.location)}</div>`;
+      return `
+        <tr>
+          ${td(name, false)}
+          ${td(escapeHtml(fmtPct(l.uptime_avg)), true)}
+          ${td(escapeHtml(fmtDuration(l.critical_ms)), true, l.critical_ms ? "color:#b42318; font-weight:700;" : "")}
+          ${td(escapeHtml(fmtDuration(l.degraded_ms)), true, l.degraded_ms ? "color:#b54708;" : "")}
+          ${td(String(l.incidents), true)}
+          ${td(escapeHtml(fmtDuration(l.mttr_ms)), true)}
+          ${td(escapeHtml(fmtDuration(l.longest_outage_ms)), true)}
+        </tr>`;
+    })
+    .join("");
+
+  return `
+    <div style="border:1px solid #e7e7e7; border-radius:10px; padding:16px; margin-top:10px;">
+      <div style="font-weight:700; margin:0 0 8px 0; font-size:18px;">Locations</div>
+      <table role="presentation" width="100%" cellspacing="0" cellpadding="0" style="border-collapse:collapse;">
+        <tr>
+          ${th("Location")}${th("Uptime", true)}${th("Critical", true)}${th("Degraded", true)}
+          ${th("Incidents", true)}${th("MTTR", true)}${th("Longest", true)}
+        </tr>
+        ${rows}
+      </table>
+    </div>
+  `.trim();
+}
+
+function notesBlock(report) {
+  return `
+    <div style="border:1px solid #e7e7e7; border-radius:10px; padding:18px; margin-top:10px;">
+      <div style="font-weight:700; margin-bottom:10px; font-size:18px;">How these numbers are measured</div>
+      <div style="color:#444; line-height:1.5; font-size:15px;">
+        Uptime is the average of the uptime readings reported for each location. Critical and degraded time, incidents and recovery times come from ACX Sentinel integrity checks.
+      </div>
+      <div style="margin-top:10px; color:#777; font-size:12px; line-height:1.5;">
+        Period ${escapeHtml(report.from.slice(0, 10))} to ${escapeHtml(report.to.slice(0, 16).replace("T", " "))} UTC${report.partial ? " (month in progress)" : ""}. Generated ${escapeHtml(report.generated_at.slice(0, 16).replace("T", " "))} UTC.
+      </div>
+    </div>
+  `.trim();
+}
+
+export function slaReportHtml(report, { csvUrl = "" } = {}) {
+  const monthName = new Date(`${report.month}-01T00:00:00Z`).toLocaleString("en-US", {
+    month: "long",
+    year: "numeric",
+    timeZone: "UTC",
+  });
+  const badge = `Service statement • ${report.account}`;
+  const headline = `${monthName} uptime & integrity report`;
+  const statusLine = report.totals.incidents
+    ? `${report.totals.incidents} Sentinel incident${report.totals.incidents === 1 ? "" : "s"} across ${report.totals.locations} location${report.totals.locations === 1 ? "" : "s"} this period.`
+    : `No Sentinel incidents across ${report.totals.locations} location${report.totals.locations === 1 ? "" : "s"} this period.`;
+
+  return `
+    <!doctype html>
+    <html>
+      <head>
+        <meta name="viewport" content="width=device-width, initial-scale=1" />
+        <meta charset="utf-8" />
+        <title>${escapeHtml(`ACX SLA report — ${report.account} — ${report.month}`)}</title>
+        <style>
+          @media print {
+            body { background:#ffffff !important; }
+            .no-print { display:none !important; }
+            .sheet { box-shadow:none !important; max-width:none !important; }
+          }
+        </style>
+      </head>
+      <body style="margin:0; padding:0; background:#f4f6f8; font-family:-apple-system,BlinkMacSystemFont,Segoe UI,Roboto,Arial,sans-serif;">
+        <div style="padding:24px 12px;">
+          <div class="no-print" style="max-width:760px; margin:0 auto 12px auto; text-align:right;">
+            ${csvUrl ? `<a href="${escapeHtml(csvUrl)}" style="display:inline-block; padding:10px 14px; color:#0b1220; font-weight:700; text-decoration:none;">Download CSV</a>` : ""}
+            <a href="#" onclick="window.print();return false;"
+               style="display:inline-block; padding:10px 14px; background:#0b1220; color:#ffffff; border-radius:8px; text-decoration:none; font-weight:700; border:1px solid #0b1220;">
+              Print
+            </a>
+          </div>
+
+          <div class="sheet" style="max-width:760px; margin:0 auto; background:#ffffff; border-radius:14px; box-shadow:0 6px 20px rgba(0,0,0,.06); overflow:hidden;">
+            <div style="height:6px; background:${escapeHtml(severityColor(report))};"></div>
+
+            <div style="padding:26px;">
+              <div style="margin:0 0 10px 0;">
+                <span style="display:inline-block; padding:6px 10px; border-radius:999px; background:#f3f4f6; color:#111; font-size:12px; font-weight:700;">
+                  ${escapeHtml(badge)}
+                </span>
+              </div>
+
+              <h2 style="margin:0 0 14px 0; font-size:22px; font-weight:700; letter-spacing:-0.2px; line-height:1.15;">
+                ${escapeHtml(headline)}
+              </h2>
+
+              <p style="margin:0 0 20px 0; color:#555; font-size:15px; line-height:1.5;">
+                ${escapeHtml(statusLine)}
+              </p>
+
+              ${summaryBlock(report)}
+
+              ${locationsBlock(report)}
+
+              ${notesBlock(report)}
+
+              ${footerBarHtml()}
+            </div>
+          </div>
+        </div>
+      </body>
+    </html>
+  `.trim();
+}
@@ -0,0 +1,161 @@
+// functions/_lib/staleness.js
+// ACX Matrix stale-location detection (run by acx-matrix-stale, see netlify.toml)
+// Exports: detectStaleLocations, isStale, staleIntervalMin
+//
+// A location is stale once its summary last_seen is older than its
+// expected_interval_min (_lib/locations.js), or ACX_STALE_DEFAULT_MIN
+// (default 60) when the registry has none. Locations never seen and archived
+// locations are skipped.
+//
+// On a change the sweep:
+//   - patches the summary (per-field LWW, _lib/matrix-store.js):
+//       stale            true | false
+//       stale_since      when it was marked stale ("" once recovered)
+//       stale_last_seen  the last_seen it judged; a newer ingest makes
+//                        isStale() false straight away, before the next sweep
+//   - appends an event row (source "stale_monitor",
+//     event_name location_stale | location_recovered) to the event stream
+//     and publishes location.stale | location.recovered (_lib/subscriptions.js)
+// Each event takes an idempotency claim first, so overlapping sweeps emit it once.
+
+import {
+  mapLimit,
+  appendEvent,
+  newEventKey,
+  claimIdempotency,
+  applyLocationPatch,
+  listAccounts,
+  listLocationSummaries,
+} from "./matrix-store.js";
+import { listLocationMeta, listArchivedLocations } from "./locations.js";
+import { publishMatrixEvent } from "./subscriptions.js";
+
+const SOURCE = "stale_monitor";
+
+export function staleIntervalMin(meta) {
+  const n = Number(meta?.expected_interval_min);
+  if (Number.isFinite(n) && n > 0) return n;
+  const d = Number(process.env.ACX_STALE_DEFAULT_MIN);
+  return Number.isFinite(d) && d > 0 ? d : 60;
+}
+
+// The stored flag, unless an ingest has moved last_seen since it was set
+export function isStale(summary) {
+  if (summary?.stale !== true) return false;
+  return String(summary.last_seen || "") === String(summary.stale_last_seen || "");
+}
+
+async function emit(store, { account, location, event_name, identity, nowMs, detail }) {
+  const key = newEventKey(nowMs);
+  const claim = await claimIdempotency(store, ["stale", account, location, ...identity], key);
+  if (claim.duplicate) return false;
+
+  const ev = { ts: new Date(nowMs).toISOString(), account, location, source: SOURCE, event_name, ...detail };
+  await appendEvent(store, ev, key);
+  await publishMatrixEvent(store, {
+    type: event_name === "location_stale" ? "location.stale" : "location.recovered",
+    account,
+    location,
+    data: { key, ...detail },
+  });
+  return true;
+}
+
+// -> the changes made for one location ([] when nothing changed)
+async function checkLocation(store, { account, summary, meta, nowMs }) {
+  const location = String(summary.location || "");
+  const lastMs = Date.parse(summary.last_seen || "");
+  if (!location || !Number.isFinite(lastMs)) return [];
+
+  const interval = staleIntervalMin(meta);
+  const detail = {
+    last_seen: summary.last_seen,
+    expected_interval_min: interval,
+    silent_min: Math.floor((nowMs - lastMs) / 60000),
+  };
+  const now = new Date(nowMs).toISOString();
+  const stale = nowMs - lastMs > interval * 60000;
+  const changes = [];
+
+  // Marked stale, but an ingest has moved last_seen since: recovered (even
+  // if it has gone quiet again, that is a new stale stretch)
+  let marked = summary.stale === true;
+  if (marked && !isStale(summary)) {
+    if (!stale) {
+      await applyLocationPatch(
+        store,
+        { account, location, fields: { stale: false, stale_since: "", stale_last_seen: "" } },
+        nowMs
+      );
+    }
+    const emitted = await emit(store, {
+      account,
+      location,
+      event_name: "location_recovered",
+      identity: ["recovered", summary.stale_since || "", summary.stale_last_seen || ""],
+      nowMs,
+      detail: { ...detail, stale_since: summary.stale_since || "" },
+    });
+    changes.push({ account, location, to: "fresh", emitted, ...detail });
+    marked = false;
+  }
+
+  if (stale && !marked) {
+    await applyLocationPatch(
+      store,
+      { account, location, fields: { stale: true, stale_since: now, stale_last_seen: summary.last_seen } },
+      nowMs
+    );
+    const emitted = await emit(store, {
+      account,
+      location,
+      event_name: "location_stale",
+      identity: ["stale", summary.last_seen],
+      nowMs,
+      detail,
+    });
+    changes.push({ account, location, to: "stale", emitted, ...detail });
+  }
+
+  return changes;
+}
+
+// One sweep over every live location of every account
+export async function detectStaleLocations(store, { nowMs = Date.now() } = {}) {
+  const [accounts, metaRows, archived] = await Promise.all([
+    listAccounts(store),
+    listLocationMeta(store),
+    listArchivedLocations(store),
+  ]);
+
+  const metaFor = new Map(metaRows.map((m) => [`${m.account}\u0000${m.location}`, m]));
+  const skip = new Set(archived.map((a) => `${a.account}\u0000${a.location}`));
+
+  let checked = 0;
+  let stale = 0;
+  const changes = [];
+
+  for (const { account } of accounts) {
+    const summaries = (await listLocationSummaries(store, account)).filter(
+      (s) => s && s.location && !skip.has(`${account}\u0000${s.location}`)
+    );
+    checked += summaries.length;
+
+    const results = await mapLimit(summaries, 4, (summary) =>
+      checkLocation(store, {
+        account,
+        summary,
+        meta: metaFor.get(`${account}\u0000${summary.location}`),
+        nowMs,
+      })
+    );
+
+    summaries.forEach((summary, i) => {
+      changes.push(...results[i]);
+      const last = results[i][results[i].length - 1];
+      if (last ? last.to === "stale" : isStale(summary)) stale++;
+    });
+  }
+
+  return { accounts: accounts.length, checked, stale, changes };
+}
@@ -0,0 +1,315 @@
+// functions/_lib/subscriptions.js
+// ACX Matrix outbound webhook subscriptions (signed, retried, logged)
+// Exports: EVENT_TYPES, validateSubscription, listSubscriptions,
+//          readSubscription, saveSubscription, deleteSubscription,
+//          publicSubscription, publishMatrixEvent, listDeliveries,
+//          redeliver, retryDueDeliveries, DELIVERY_MAX_ATTEMPTS
+//
+// Layout (Matrix store):
+//   subs/<id>                       { id, url, secret, events, account, … }
+//   subdlv/<id>/<ms>:<rand>         delivery log entry (one per event sent)
+//
+// Every delivery is a POST of
+//   { id, type, created_at, account, location, data }
+// with headers
+//   X-ACX-Event:      the event type
+//   X-ACX-Delivery:   the delivery log id
+//   X-ACX-Timestamp / X-ACX-Signature: v1=<hex hmac_sha256(secret, `${ts}.${body}`)>
+// (the inbound scheme from _lib/signature.js). `id` stays the same across
+// retries, so receivers can drop repeats.
+//
+// Publishing only writes a pending log entry per matching subscription, due
+// at once: nothing goes out on the caller's path (ingest, sweeps). The
+// scheduled acx-matrix-subscriptions-retry makes every attempt; failures back
+// off (1m, 2m, 4m … 6h) until DELIVERY_MAX_ATTEMPTS, then are marked dead
+// (manual redeliver only). Log entries are only rewritten by attempts, so a
+// plain read-modify-write per entry is fine (same as the DLQ in
+// _lib/forward.js).
+
+import crypto from "crypto";
+import { readJSON, mapLimit } from "./matrix-store.js";
+import { signWithSecret } from "./signature.js";
+
+const PREFIX = "subs/";
+const LOG_PREFIX = "subdlv/";
+
+export const EVENT_TYPES = [
+  "integrity.changed",
+  "location.stale",
+  "location.recovered",
+  "metric.ingested",
+  "alert.firing",
+  "alert.resolved",
+];
+
+export const DELIVERY_MAX_ATTEMPTS = 8;
+
+const BACKOFF_BASE_MS = 60 * 1000;
+const BACKOFF_MAX_MS = 6 * 60 * 60 * 1000;
+const ATTEMPT_TIMEOUT_MS = 8000;
+
+// Log retention: delivered entries 7 days, dead ones 30, at most 500 per sub
+const KEEP_DELIVERED_MS = 7 * 24 * 60 * 60 * 1000;
+const KEEP_DEAD_MS = 30 * 24 * 60 * 60 * 1000;
+const KEEP_MAX_ENTRIES = 500;
+
+// Subscriptions are matched on every ingest; keep them briefly per warm instance
+const SUBS_TTL_MS = 30 * 1000;
+let subsCache = null;
+
+const seg = (s) => encodeURIComponent(String(s || ""));
+const str = (v, max) => String(v ?? "").trim().slice(0, max);
+const newId = (ms = Date.now()) => `${ms}:${Math.random().toString(36).slice(2, 10)}`;
+const logPrefix = (subId) => `${LOG_PREFIX}${seg(subId)}/`;
+const idMs = (id) => Number(String(id || "").split(":")[0]) || 0;
+
+const backoffMs = (attempts) =>
+  Math.min(BACKOFF_BASE_MS * 2 ** Math.max(0, attempts - 1), BACKOFF_MAX_MS);
+
+const toBool = (v, d) => (v === undefined || v === null || v === "" ? d : v === true || v === "true" || v === 1 || v === "1");
+
+// Returns { ok: true, sub } or { ok: false, error }. `existing` keeps the
+// stored secret when the input leaves it out.
+export function validateSubscription(input, existing = null) {
+  const raw = input && typeof input === "object" ? input : {};
+
+  const id = str(raw.id, 64).toLowerCase() || `sub_${crypto.randomBytes(5).toString("hex")}`;
+  if (!/^[a-z0-9][a-z0-9_-]{1,63}$/.test(id)) {
+    return { ok: false, error: "id must be 2-64 chars of a-z, 0-9, _ or -" };
+  }
+
+  const url = str(raw.url ?? existing?.url, 2000);
+  let parsed = null;
+  try {
+    parsed = new URL(url);
+  } catch {
+    parsed = null;
+  }
+  if (!parsed || parsed.protocol !== "https:") return { ok: false, error: "url must be an https URL" };
+
+  const events = [
+    ...new Set(
+      (Array.isArray(raw.events) ? raw.events : String(raw.events ?? "").split(","))
+        .map((e) => String(e || "").trim())
+        .filter(Boolean)
+    ),
+  ];
+  if (!events.length) return { ok: false, error: `events must include one of ${EVENT_TYPES.join(", ")}` };
+  const unknown = events.filter((e) => e !== "*" && !EVENT_TYPES.includes(e));
+  if (unknown.length) return { ok: false, error: `Unknown event type(s): ${unknown.join(", ")}` };
+
+  const secret = str(raw.secret, 200) || existing?.secret || crypto.randomBytes(24).toString("base64url");
+  if (secret.length < 16) return { ok: false, error: "secret must be at least 16 characters" };
+
+  return {
+    ok: true,
+    sub: {
+      id,
+      url: parsed.toString(),
+      secret,
+      events: events.includes("*") ? ["*"] : events,
+      account: str(raw.account || "*", 80),
+      description: str(raw.description, 200),
+      enabled: toBool(raw.enabled, true),
+    },
+  };
+}
+
+// Never hand the secret back after creation
+export function publicSubscription(sub) {
+  const { secret, ...rest } = sub || {};
+  return { ...rest, secret_hint: secret ? secret.slice(-4) : "" };
+}
+
+export async function readSubscription(store, id) {
+  return readJSON(store, PREFIX + seg(id), null);
+}
+
+// All subscriptions sorted by id (memoized per warm instance unless fresh=true)
+export async function listSubscriptions(store, { fresh = false } = {}) {
+  if (!fresh && subsCache && Date.now() - subsCache.at < SUBS_TTL_MS) return subsCache.subs;
+
+  const { blobs = [] } = await store.list({ prefix: PREFIX });
+  const subs = (await Promise.all(blobs.map((b) => readJSON(store, b.key, null))))
+    .filter((s) => s && s.id)
+    .sort((a, b) => a.id.localeCompare(b.id));
+
+  subsCache = { at: Date.now(), subs };
+  return subs;
+}
+
+// -> { ok, sub (with secret), created } or { ok: false, error }
+export async function saveSubscription(store, input, { updatedBy = "" } = {}) {
+  const id = str(input?.id, 64).toLowerCase();
+  const existing = id ? await readSubscription(store, id) : null;
+
+  const v = validateSubscription(input, existing);
+  if (!v.ok) return v;
+
+  const now = new Date().toISOString();
+  const sub = {
+    ...v.sub,
+    created_at: existing?.created_at || now,
+    updated_at: now,
+    updated_by: updatedBy || null,
+  };
+
+  await store.set(PREFIX + seg(sub.id), JSON.stringify(sub));
+  subsCache = null;
+  return { ok: true, sub, created: !existing };
+}
+
+// Removes the subscription and its delivery log
+export async function deleteSubscription(store, id) {
+  const existing = await readSubscription(store, id);
+  if (!existing) return { ok: false, error: "Unknown subscription" };
+
+  const { blobs = [] } = await store.list({ prefix: logPrefix(id) });
+  await mapLimit(blobs, 8, (b) => store.delete(b.key).catch(() => {}));
+  await store.delete(PREFIX + seg(id));
+  subsCache = null;
+
+  return { ok: true, id: existing.id, deliveries_removed: blobs.length };
+}
+
+// ---------- delivery ----------
+async function attempt(sub, entry) {
+  const headers = {
+    "Content-Type": "application/json",
+    "User-Agent": "ACX-Matrix-Webhooks/1",
+    "X-ACX-Event": entry.type,
+    "X-ACX-Delivery": entry.id,
+    ...signWithSecret(sub.secret, entry.body),
+  };
+
+  try {
+    const r = await fetch(sub.url, {
+      method: "POST",
+      headers,
+      body: entry.body,
+      signal: AbortSignal.timeout(ATTEMPT_TIMEOUT_MS),
+    });
+    const text = await r.text().catch(() => "");
+    return { ok: r.ok, status: r.status, text, error: "" };
+  } catch (e) {
+    return { ok: false, status: 0, text: "", error: e?.message || String(e) };
+  }
+}
+
+// One attempt, recorded on the log entry
+async function deliver(store, sub, entry) {
+  const res = await attempt(sub, entry);
+  const now = Date.now();
+  const attempts = (entry.attempts || 0) + 1;
+
+  const next = {
+    ...entry,
+    attempts,
+    last_attempt_at: new Date(now).toISOString(),
+    last_status: res.status,
+    last_error: res.ok ? "" : res.error || String(res.text || "").slice(0, 500),
+  };
+
+  if (res.ok) {
+    Object.assign(next, { status: "delivered", delivered_at: next.last_attempt_at, next_attempt_at: null });
+  } else if (attempts >= DELIVERY_MAX_ATTEMPTS) {
+    Object.assign(next, { status: "dead", next_attempt_at: null });
+  } else {
+    Object.assign(next, { status: "pending", next_attempt_at: new Date(now + backoffMs(attempts)).toISOString() });
+  }
+
+  await store.set(logPrefix(sub.id) + entry.id, JSON.stringify(next));
+  return next;
+}
+
+const wants = (sub, type, account) =>
+  sub.enabled !== false &&
+  (sub.events.includes("*") || sub.events.includes(type)) &&
+  (sub.account === "*" || sub.account === account);
+
+// Queue one Matrix change for every matching subscription (delivered by the
+// retry sweep). Never throws: a store hiccup must not fail the caller.
+// -> { matched, queued }
+export async function publishMatrixEvent(store, { type, account, location = "", data = {} }) {
+  try {
+    const subs = (await listSubscriptions(store)).filter((s) => wants(s, type, account));
+    if (!subs.length) return { matched: 0, queued: 0 };
+
+    const now = Date.now();
+    const body = JSON.stringify({
+      id: `evt_${now}_${crypto.randomBytes(4).toString("hex")}`,
+      type,
+      created_at: new Date(now).toISOString(),
+      account,
+      location,
+      data,
+    });
+
+    const at = new Date(now).toISOString();
+    await mapLimit(subs, 4, (sub) => {
+      const entry = { id: newId(now), type, body, created_at: at, attempts: 0, status: "pending", next_attempt_at: at };
+      return store.set(logPrefix(sub.id) + entry.id, JSON.stringify(entry));
+    });
+
+    return { matched: subs.length, queued: subs.length };
+  } catch (e) {
+    console.error("MATRIX_PUBLISH_FAILED", { type, account, location, error: e?.message || String(e) });
+    return { matched: 0, queued: 0, error: e?.message || String(e) };
+  }
+}
+
+// Newest first
+export async function listDeliveries(store, subId, { limit = 50 } = {}) {
+  const prefix = logPrefix(subId);
+  const { blobs = [] } = await store.list({ prefix });
+  const ids = blobs.map((b) => b.key.slice(prefix.length)).sort().reverse().slice(0, limit);
+  return (await mapLimit(ids, 8, (id) => readJSON(store, prefix + id, null))).filter(Boolean);
+}
+
+// One more attempt now, whatever the entry's status
+export async function redeliver(store, subId, deliveryId) {
+  const sub = await readSubscription(store, subId);
+  if (!sub) return { ok: false, error: "Unknown subscription" };
+
+  const entry = await readJSON(store, logPrefix(subId) + String(deliveryId || ""), null);
+  if (!entry) return { ok: false, error: "Unknown delivery id" };
+
+  const next = await deliver(store, sub, entry);
+  return { ok: true, delivery: next };
+}
+
+// Scheduled sweep: retry due pending deliveries, prune old log entries
+export async function retryDueDeliveries(store, { limit = 50, now = Date.now() } = {}) {
+  const subs = await listSubscriptions(store, { fresh: true });
+  let due = 0;
+  let delivered = 0;
+  let pruned = 0;
+
+  for (const sub of subs) {
+    const prefix = logPrefix(sub.id);
+    const { blobs = [] } = await store.list({ prefix });
+    const ids = blobs.map((b) => b.key.slice(prefix.length)).sort();
+    const entries = (await mapLimit(ids, 8, (id) => readJSON(store, prefix + id, null))).filter(Boolean);
+
+    const drop = entries.filter(
+      (e, i) =>
+        i < entries.length - KEEP_MAX_ENTRIES ||
+        (e.status === "delivered" && now - idMs(e.id) > KEEP_DELIVERED_MS) ||
+        (e.status === "dead" && now - idMs(e.id) > KEEP_DEAD_MS)
+    );
+    await mapLimit(drop, 8, (e) => store.delete(prefix + e.id).catch(() => {}));
+    pruned += drop.length;
+
+    if (sub.enabled === false) continue;
+
+    const ready = entries
+      .filter((e) => !drop.includes(e) && e.status === "pending" && (Date.parse(e.next_attempt_at) || 0) <= now)
+      .slice(0, Math.max(0, limit - due));
+    due += ready.length;
+
+    const results = await mapLimit(ready, 4, (e) => deliver(store, sub, e));
+    delivered += results.filter((r) => r.status === "delivered").length;
+  }
+
+  return { subscriptions: subs.length, due, delivered, failed: due - delivered, pruned };
+}
@@ -0,0 +1,185 @@
+// functions/_lib/summary-snapshot.js
+// Materialized read model behind acx-matrix-summary (a cache, never the source of truth)
+// Exports: refreshSummarySnapshot, eventSnapshotReader, readSnapshotLocations,
+//          locationTile, summaryEtag, etagMatches, SNAPSHOT_EVENTS
+//
+//   snapshot/events          { events: [{ key, ev }], updated_at }
+//       newest SNAPSHOT_EVENTS event rows, so a dashboard poll reads one blob
+//       instead of one per event
+//   snapshot/loc/<account>   { locations: { <location>: { head, summary } }, updated_at }
+//       folded location summaries stamped with their newest patch id
+//       (listLocationPatchHeads)
+//
+// Only refreshSummarySnapshot writes them, from the scheduled acx-matrix-snapshot:
+// ingest stays append-only and a GET never writes. Between runs the snapshot
+// lags, so readers only use an entry that the index listing / patch heads
+// still vouch for and read anything missing or out of date from the store: a
+// stale snapshot costs extra reads, never a wrong answer.
+
+import crypto from "crypto";
+import {
+  readJSON,
+  mapLimit,
+  listAccounts,
+  listRecentEventKeys,
+  readLocationSummary,
+  listLocationNames,
+  listLocationPatchHeads,
+} from "./matrix-store.js";
+import { isStale } from "./staleness.js";
+
+export const SNAPSHOT_EVENTS = 500;
+
+const EVENTS_KEY = "snapshot/events";
+const READ_CONCURRENCY = 8;
+
+const seg = (s) => encodeURIComponent(String(s || ""));
+const locationsKey = (account) => `snapshot/loc/${seg(account)}`;
+
+const snapshotRows = (snap) => (Array.isArray(snap?.events) ? snap.events : []);
+
+// readEvent() for readRecentEvents: snapshot rows first, `fallback(key)` for
+// the rest. Read-only.
+export async function eventSnapshotReader(store, fallback) {
+  const snap = await readJSON(store, EVENTS_KEY, null);
+  const cached = new Map(snapshotRows(snap).map((r) => [r.key, r.ev]));
+  let hits = 0;
+  let fetched = 0;
+
+  return {
+    readEvent: async (key) => {
+      if (cached.has(key)) {
+        hits++;
+        return cached.get(key);
+      }
+      fetched++;
+      return fallback(key);
+    },
+    stats: () => ({ hits, fetched }),
+  };
+}
+
+// Location rows of one account from the snapshot, re-read where the patch
+// heads moved on. -> { rows: [{ location, head, summary }], refreshed, changed }
+async function foldLocations(store, account) {
+  const [names, heads, snap] = await Promise.all([
+    listLocationNames(store, account),
+    listLocationPatchHeads(store, account),
+    readJSON(store, locationsKey(account), null),
+  ]);
+  const cached = snap?.locations && typeof snap.locations === "object" ? snap.locations : {};
+
+  // heads are listed before any summary is read: a patch landing in between
+  // leaves an older head on a newer summary, which only forces a re-read
+  let refreshed = 0;
+  const rows = await mapLimit(names, READ_CONCURRENCY, async (location) => {
+    const head = heads[location] || "";
+    const hit = cached[location];
+    if (hit && hit.head === head && hit.summary) return { location, head, summary: hit.summary };
+    refreshed++;
+    return { location, head, summary: await readLocationSummary(store, account, location) };
+  });
+
+  return { rows, refreshed, changed: refreshed > 0 || Object.keys(cached).length !== names.length };
+}
+
+// Location summaries of one account, newest last_seen first. Read-only.
+// -> { summaries, heads: [[location, head]], refreshed }
+export async function readSnapshotLocations(store, account) {
+  const { rows, refreshed } = await foldLocations(store, account);
+  return {
+    summaries: rows
+      .map((r) => r.summary)
+      .sort((a, b) => (Date.parse(b.last_seen) || 0) - (Date.parse(a.last_seen) || 0)),
+    heads: rows.map((r) => [r.location, r.head]),
+    refreshed,
+  };
+}
+
+// Scheduled (acx-matrix-snapshot): rebuild both snapshots from the index and
+// the patch heads, re-reading only what changed since the last run.
+// -> { events, events_fetched, accounts, locations_refreshed }
+export async function refreshSummarySnapshot(store) {
+  const now = new Date().toISOString();
+
+  const [{ keys }, snap] = await Promise.all([
+    listRecentEventKeys(store, { limit: SNAPSHOT_EVENTS }),
+    readJSON(store, EVENTS_KEY, null),
+  ]);
+  const cached = new Map(snapshotRows(snap).map((r) => [r.key, r.ev]));
+  const missing = keys.filter((k) => !cached.has(k));
+  const fetched = await mapLimit(missing, READ_CONCURRENCY, async (key) => [key, await readJSON(store, key, null)]);
+  for (const [key, ev] of fetched) if (ev && typeof ev === "object") cached.set(key, ev);
+
+  const events = keys.filter((k) => cached.has(k)).map((key) => ({ key, ev: cached.get(key) }));
+  if (missing.length || events.length !== snapshotRows(snap).length) {
+    await store.set(EVENTS_KEY, JSON.stringify({ events, updated_at: now }));
+  }
+
+  const accounts = (await listAccounts(store)).map((a) => a.account);
+  let refreshed = 0;
+  for (const account of accounts) {
+    const folded = await foldLocations(store, account);
+    refreshed += folded.refreshed;
+    if (!folded.changed) continue;
+    const locations = Object.fromEntries(folded.rows.map((r) => [r.location, { head: r.head, summary: r.summary }]));
+    await store.set(locationsKey(account), JSON.stringify({ locations, updated_at: now }));
+  }
+
+  return { events: events.length, events_fetched: missing.length, accounts: accounts.length, locations_refreshed: refreshed };
+}
+
+// ---------- tiles ----------
+// LOCKED integrity enum (same aliases as acx-matrix-summary's events)
+const INTEGRITY = { ok: "ok", degraded: "degraded", warn: "degraded", warning: "degraded", critical: "critical", crit: "critical", down: "critical" };
+
+// EMPIRE: custom metrics keep null for missing (built-ins show 0, as always)
+const toNum = (x) => {
+  if (x === null || x === undefined || (typeof x === "string" && x.trim() === "")) return null;
+  const n = Number(x);
+  return Number.isFinite(n) ? n : null;
+};
+
+// One dashboard tile (acx-matrix-summary `locations`, acx-matrix-stream):
+// the folded summary plus the registry fields from _lib/locations.js
+export function locationTile(summary, { meta, archived = false, customMetrics = [] } = {}) {
+  const r = summary || {};
+  const m = meta || {};
+  const integrity = String(r.integrity || "").toLowerCase().trim();
+  const stale = isStale(r);
+
+  return {
+    location: String(r.location || ""),
+    account: String(r.account || "ACX"),
+    last_seen: String(r.last_seen || ""),
+    uptime: Number(r.uptime || 0),
+    conversion: Number(r.conversion || 0),
+    response_ms: Number(r.response_ms || 0),
+    quotes_recovered: Number(r.quotes_recovered || 0),
+    ...Object.fromEntries(customMetrics.map((c) => [c.name, toNum(r[c.name])])),
+    integrity: Object.hasOwn(INTEGRITY, integrity) ? INTEGRITY[integrity] : "unknown",
+    stale,
+    stale_since: stale ? String(r.stale_since || "") : "",
+    // registry (display only)
+    display_name: String(m.display_name || ""),
+    client: String(m.client || ""),
+    timezone: String(m.timezone || ""),
+    tags: Array.isArray(m.tags) ? m.tags : [],
+    owner_email: String(m.owner_email || ""),
+    expected_interval_min: toNum(m.expected_interval_min),
+    ...(archived ? { archived: true } : {}),
+  };
+}
+
+// Weak validator over everything a response is built from
+export function summaryEtag(parts) {
+  return `W/"${crypto.createHash("sha1").update(JSON.stringify(parts)).digest("base64url")}"`;
+}
+
+export function etagMatches(req, etag) {
+  const header = req.headers.get("if-none-match") || "";
+  if (!header) return false;
+  if (header.trim() === "*") return true;
+  const opaque = (t) => t.trim().replace(/^W\//, "");
+  return header.split(",").some((t) => opaque(t) === opaque(etag));
+}
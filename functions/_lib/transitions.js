@@ -0,0 +1,146 @@
+// functions/_lib/transitions.js
+// ACX Matrix integrity transition log + recovery stats
+// Exports: recordIntegrityTransition, readTransitions, integrityStats,
+//          deleteTransitions
+//
+//   trans/<account>/<location>/<ms>:<rand>
+//     { from, to, at, source, run_id, key }   (key = the event that caused it)
+//
+// Written by acx-matrix-webhook when a Sentinel write changes a location's
+// summary integrity. Append-only like the rest of the layout; `from` is what
+// the writer saw. Readers chain transitions by time instead (from = previous
+// to) and drop repeats, so two racing writers can never produce a log that
+// contradicts itself.
+//
+// Stats over [from, to):
+//   time_in_state_ms  { ok, degraded, critical, unknown }
+//   incidents         degraded/critical stretches overlapping the range
+//   mttr_ms           mean length of incidents that recovered to ok in range
+//   longest_outage_ms longest degraded/critical stretch (open ones clipped)
+
+const PREFIX = "trans/";
+const STATES = ["ok", "degraded", "critical", "unknown"];
+const DOWN = new Set(["degraded", "critical"]);
+
+const seg = (s) => encodeURIComponent(String(s || ""));
+const prefixFor = (account, location) => `${PREFIX}${seg(account)}/${seg(location)}/`;
+const rand = () => Math.random().toString(36).slice(2, 10);
+
+const normState = (s) => (STATES.includes(String(s || "").toLowerCase()) ? String(s).toLowerCase() : "unknown");
+
+export async function recordIntegrityTransition(
+  store,
+  { account, location, from, to, ms = Date.now(), source = "", run_id = "", key = "" }
+) {
+  const entry = {
+    from: normState(from),
+    to: normState(to),
+    at: new Date(ms).toISOString(),
+    source: String(source || ""),
+    run_id: String(run_id || ""),
+    key: String(key || ""),
+  };
+  await store.set(`${prefixFor(account, location)}${ms}:${rand()}`, JSON.stringify(entry));
+  return entry;
+}
+
+// Chained transitions up to `toMs`, oldest first, plus the state in force at
+// `fromMs` (from the last transition before it). Returns { initial, transitions }
+export async function readTransitions(store, { account, location, fromMs = 0, toMs = Date.now() }) {
+  const prefix = prefixFor(account, location);
+  const { blobs = [] } = await store.list({ prefix });
+
+  const ids = blobs
+    .map((b) => b.key.slice(prefix.length))
+    .filter((id) => Number(id.split(":")[0]) <= toMs)
+    .sort();
+
+  const rows = await Promise.all(
+    ids.map(async (id) => {
+      try {
+        return { ms: Number(id.split(":")[0]), entry: await store.get(prefix + id, { type: "json" }) };
+      } catch {
+        return null;
+      }
+    })
+  );
+
+  let state = "unknown";
+  let initial = "unknown";
+  const transitions = [];
+
+  for (const r of rows) {
+    if (!r || !r.entry) continue;
+    const to = normState(r.entry.to);
+    if (to === state) continue; // repeat (racing writers)
+
+    if (r.ms < fromMs) {
+      initial = to;
+    } else {
+      transitions.push({ ...r.entry, from: state, to, at: new Date(r.ms).toISOString() });
+    }
+    state = to;
+  }
+
+  return { initial, transitions };
+}
+
+// Pure: stats for one location from readTransitions() output
+export function integrityStats({ initial, transitions }, { fromMs, toMs }) {
+  const time_in_state_ms = { ok: 0, degraded: 0, critical: 0, unknown: 0 };
+  const recoveries = [];
+  let incidents = 0;
+  let longest = 0;
+
+  let state = initial;
+  let t = fromMs;
+  // an outage already running at fromMs is counted from fromMs
+  let downSince = DOWN.has(state) ? fromMs : null;
+  if (downSince !== null) incidents++;
+
+  for (const tr of transitions) {
+    const ms = Date.parse(tr.at);
+    time_in_state_ms[state] += Math.max(0, ms - t);
+    t = ms;
+
+    if (!DOWN.has(tr.from) && DOWN.has(tr.to)) {
+      incidents++;
+      downSince = ms;
+    } else if (DOWN.has(tr.from) && !DOWN.has(tr.to) && downSince !== null) {
+      const len = ms - downSince;
+      longest = Math.max(longest, len);
+      // only a return to ok is a recovery (unknown is just missing data)
+      if (tr.to === "ok") recoveries.push(len);
+      downSince = null;
+    }
+    state = tr.to;
+  }
+
+  time_in_state_ms[state] += Math.max(0, toMs - t);
+
+  let open = null;
+  if (downSince !== null) {
+    longest = Math.max(longest, toMs - downSince);
+    open = { state, since: new Date(downSince).toISOString(), duration_ms: toMs - downSince };
+  }
+
+  const known = time_in_state_ms.ok + time_in_state_ms.degraded + time_in_state_ms.critical;
+
+  return {
+    time_in_state_ms,
+    availability_pct: known ? Math.round((time_in_state_ms.ok / known) * 10000) / 100 : null,
+    incidents,
+    recovered: recoveries.length,
+    mttr_ms: recoveries.length ? Math.round(recoveries.reduce((a, b) => a + b, 0) / recoveries.length) : null,
+    longest_outage_ms: longest || 0,
+    open_incident: open,
+    state_at_end: state,
+  };
+}
+
+// Location purge
+export async function deleteTransitions(store, { account, location }) {
+  const { blobs = [] } = await store.list({ prefix: prefixFor(account, location) });
+  await Promise.all(blobs.map((b) => store.delete(b.key).catch(() => {})));
+  return blobs.length;
+}
@@ -0,0 +1,100 @@
+// functions/acx-matrix-accounts.js
+// ACX Matrix accounts (registered on first ingest, see _lib/matrix-store.js)
+// with roll-up health counts per account, for the dashboard switcher.
+// - GET  -> { ok, accounts: [...], totals }
+//
+// Per account: { account, first_seen, last_seen, locations, archived, stale,
+//                integrity: { ok, degraded, critical, unknown }, health }
+// `health` is the worst integrity across its locations (LOCKED enum).
+// `stale` counts the locations acx-matrix-stale has flagged (isStale in
+// _lib/staleness.js), the same flag the summary tiles carry.
+// Archived locations are not counted (only as `archived`).
+//
+// Auth: dashboard session cookie OR a key with matrix:read (_lib/api-keys.js)
+
+import { authorize } from "./_lib/api-keys.js";
+import { getMatrixStore, listAccounts, listLocationSummaries, mapLimit } from "./_lib/matrix-store.js";
+import { listArchivedLocations } from "./_lib/locations.js";
+import { isStale } from "./_lib/staleness.js";
+
+const json = (obj, status = 200) =>
+  new Response(JSON.stringify(obj), {
+    status,
+    headers: { "Content-Type": "application/json", "Cache-Control": "no-store" },
+  });
+
+// LOCKED integrity enum: ok | degraded | critical | unknown
+function normalizeIntegrity(raw) {
+  const v = String(raw || "unknown").toLowerCase().trim();
+  if (v === "ok") return "ok";
+  if (v === "degraded" || v === "warn" || v === "warning") return "degraded";
+  if (v === "critical" || v === "crit" || v === "down") return "critical";
+  return "unknown";
+}
+
+// worst first
+const SEVERITY = ["critical", "degraded", "unknown", "ok"];
+
+function rollup({ account, first_seen }, locations, archived) {
+  const integrity = { ok: 0, degraded: 0, critical: 0, unknown: 0 };
+  let stale = 0;
+  let last = 0;
+
+  for (const l of locations) {
+    integrity[normalizeIntegrity(l.integrity)]++;
+    const seen = Date.parse(l.last_seen) || 0;
+    if (isStale(l)) stale++;
+    last = Math.max(last, seen);
+  }
+
+  return {
+    account,
+    first_seen,
+    last_seen: last ? new Date(last).toISOString() : null,
+    locations: locations.length,
+    archived,
+    stale,
+    integrity,
+    health: locations.length ? SEVERITY.find((s) => integrity[s]) : "unknown",
+  };
+}
+
+export default async (req) => {
+  try {
+    if (req.method !== "GET") return json({ ok: false, error: "Method Not Allowed" }, 405);
+
+    const store = getMatrixStore();
+
+    const auth = await authorize(req, "matrix:read", { store, session: true });
+    if (!auth.ok) {
+      return json(
+        { ok: false, error: "Unauthorized", reason: auth.reason, scope: auth.scope },
+        auth.status
+      );
+    }
+
+    const [registry, archivedRows] = await Promise.all([listAccounts(store), listArchivedLocations(store)]);
+    const archivedSet = new Set(archivedRows.map((a) => `${a.account}\u0000${a.location}`));
+
+    const accounts = await mapLimit(registry, 4, async (a) => {
+      const all = (await listLocationSummaries(store, a.account)) || [];
+      const live = all.filter((l) => !archivedSet.has(`${a.account}\u0000${l.location}`));
+      return rollup(a, live, all.length - live.length);
+    });
+
+    const totals = { accounts: accounts.length, locations: 0, archived: 0, stale: 0, ok: 0, degraded: 0, critical: 0, unknown: 0 };
+    for (const a of accounts) {
+      totals.locations += a.locations;
+      totals.archived += a.archived;
+      totals.stale += a.stale;
+      for (const [k, v] of Object.entries(a.integrity)) totals[k] += v;
+    }
+
+    return json({ ok: true, accounts, totals });
+  } catch (e) {
+    return json(
+      { ok: false, error: e?.message || "Unknown error", where: "acx-matrix-accounts" },
+      500
+    );
+  }
+};
@@ -0,0 +1,25 @@
+// functions/acx-matrix-alerts-run.js
+// ACX Matrix alert sweep (scheduled, see netlify.toml)
+// - Re-evaluates every enabled rule against every live location in scope
+//   (_lib/alerts.js), so breaches held for duration_min fire even when no
+//   new ingest arrives, and notifies on firing / resolved
+
+import { getMatrixStore } from "./_lib/matrix-store.js";
+import { evaluateAllAlerts } from "./_lib/alerts.js";
+
+const json = (obj, status = 200) =>
+  new Response(JSON.stringify(obj), {
+    status,
+    headers: { "Content-Type": "application/json", "Cache-Control": "no-store" },
+  });
+
+export default async () => {
+  try {
+    const result = await evaluateAllAlerts(getMatrixStore());
+    console.log("MATRIX_ALERTS_RUN", { rules: result.rules, locations: result.locations, changes: result.changes.length });
+    return json({ ok: true, ...result });
+  } catch (e) {
+    console.error("MATRIX_ALERTS_RUN_FAILED", { error: e?.message || String(e) });
+    return json({ ok: false, error: e?.message || "Unknown error" }, 500);
+  }
+};
@@ -0,0 +1,78 @@
+// functions/acx-matrix-alerts.js
+// ACX Matrix alert rules admin (see _lib/alerts.js)
+// - GET    ?rule=&active=1          -> { ok, rules, states }
+//          states = per-location alert state (active=1: pending/firing only)
+// - POST   { id?, name, metric, op, threshold, duration_min, account,
+//            location, severity, notify, enabled } -> create / replace a rule
+// - DELETE ?id=                     -> remove the rule and its states
+//
+// Rules are evaluated on ingest (acx-matrix-webhook) and every 5 minutes
+// (acx-matrix-alerts-run).
+// Auth: dashboard session cookie, or a key with matrix:read (GET) / admin (writes)
+
+import { getMatrixStore } from "./_lib/matrix-store.js";
+import { authorize, actingKeyId } from "./_lib/api-keys.js";
+import { listAlertRules, listAlertStates, saveAlertRule, deleteAlertRule } from "./_lib/alerts.js";
+
+const json = (obj, status = 200) =>
+  new Response(JSON.stringify(obj), {
+    status,
+    headers: { "Content-Type": "application/json", "Cache-Control": "no-store" },
+  });
+
+export default async (req) => {
+  try {
+    const store = getMatrixStore();
+
+    // Raw body first: signed callers' signatures cover it
+    const raw = req.method === "GET" || req.method === "DELETE" ? "" : await req.text().catch(() => "");
+
+    const scope = req.method === "GET" ? "matrix:read" : "admin";
+    const auth = await authorize(req, scope, { raw, store, session: true });
+    if (!auth.ok) {
+      return json({ ok: false, error: "Unauthorized", reason: auth.reason, scope: auth.scope }, auth.status);
+    }
+
+    const q = new URL(req.url).searchParams;
+
+    if (req.method === "GET") {
+      const rule = String(q.get("rule") || "").trim();
+      const [rules, states] = await Promise.all([
+        listAlertRules(store, { fresh: true }),
+        listAlertStates(store, { rule: rule || undefined, activeOnly: q.get("active") === "1" }),
+      ]);
+      return json({ ok: true, rules: rule ? rules.filter((r) => r.id === rule) : rules, states });
+    }
+
+    if (req.method === "POST" || req.method === "PUT") {
+      let body = {};
+      try {
+        body = JSON.parse(raw);
+      } catch {
+        return json({ ok: false, error: "Invalid JSON body" }, 400);
+      }
+
+      const saved = await saveAlertRule(store, body, { updatedBy: actingKeyId(req, auth) });
+      if (!saved.ok) return json({ ok: false, error: saved.error }, 400);
+
+      return json({ ok: true, rule: saved.rule }, saved.created ? 201 : 200);
+    }
+
+    if (req.method === "DELETE") {
+      const id = String(q.get("id") || "").trim();
+      if (!id) return json({ ok: false, error: "Missing id" }, 400);
+
+      const removed = await deleteAlertRule(store, id);
+      if (!removed.ok) return json({ ok: false, error: removed.error }, 404);
+
+      return json(removed);
+    }
+
+    return json({ ok: false, error: "Method Not Allowed" }, 405);
+  } catch (e) {
+    return json(
+      { ok: false, error: e?.message || "Unknown error", where: "acx-matrix-alerts" },
+      500
+    );
+  }
+};
@@ -0,0 +1,88 @@
+// functions/acx-matrix-channels.js
+// ACX chat notification channels admin (Slack / Teams / JSON, see _lib/channels.js)
+// - GET                                   -> { ok, channels, types, notification_types }
+//          (webhook URLs are masked: url_host + url_hint)
+// - POST   { id?, name, type, url, secret?, account, events: [...], enabled }
+//          -> create, or update (fields left out keep their stored values)
+// - POST   { action: "test", id }          -> send a test card to that channel
+// - DELETE ?id=<channel>
+//
+// Auth: dashboard session cookie OR a key with the admin scope
+
+import { getMatrixStore } from "./_lib/matrix-store.js";
+import { authorize, actingKeyId } from "./_lib/api-keys.js";
+import {
+  CHANNEL_TYPES,
+  NOTIFICATION_TYPES,
+  listChannels,
+  saveChannel,
+  deleteChannel,
+  publicChannel,
+  sendTestNotification,
+} from "./_lib/channels.js";
+
+const json = (obj, status = 200) =>
+  new Response(JSON.stringify(obj), {
+    status,
+    headers: { "Content-Type": "application/json", "Cache-Control": "no-store" },
+  });
+
+export default async (req) => {
+  try {
+    const store = getMatrixStore();
+
+    const raw = req.method === "GET" || req.method === "DELETE" ? "" : await req.text().catch(() => "");
+
+    const auth = await authorize(req, "admin", { raw, store, session: true });
+    if (!auth.ok) {
+      return json({ ok: false, error: "Unauthorized", reason: auth.reason, scope: auth.scope }, auth.status);
+    }
+
+    if (req.method === "GET") {
+      return json({
+        ok: true,
+        channels: (await listChannels(store)).map(publicChannel),
+        types: CHANNEL_TYPES,
+        notification_types: NOTIFICATION_TYPES,
+      });
+    }
+
+    if (req.method === "POST" || req.method === "PUT") {
+      let body = {};
+      try {
+        body = JSON.parse(raw);
+      } catch {
+        return json({ ok: false, error: "Invalid JSON body" }, 400);
+      }
+
+      if (body.action === "test") {
+        const res = await sendTestNotification(store, body.id);
+        if (!res.ok) return json({ ok: false, error: res.error }, 404);
+        return json({ ok: res.result.ok, result: res.result }, res.result.ok ? 200 : 502);
+      }
+      if (body.action) return json({ ok: false, error: "action must be test" }, 400);
+
+      const saved = await saveChannel(store, body, { updatedBy: actingKeyId(req, auth) });
+      if (!saved.ok) return json({ ok: false, error: saved.error }, 400);
+
+      return json({ ok: true, channel: publicChannel(saved.channel) }, saved.created ? 201 : 200);
+    }
+
+    if (req.method === "DELETE") {
+      const id = String(new URL(req.url).searchParams.get("id") || "").trim();
+      if (!id) return json({ ok: false, error: "Missing id" }, 400);
+
+      const removed = await deleteChannel(store, id);
+      if (!removed.ok) return json({ ok: false, error: removed.error }, 404);
+
+      return json(removed);
+    }
+
+    return json({ ok: false, error: "Method Not Allowed" }, 405);
+  } catch (e) {
+    return json(
+      { ok: false, error: e?.message || "Unknown error", where: "acx-matrix-channels" },
+      500
+    );
+  }
+};
@@ -0,0 +1,26 @@
+// functions/acx-matrix-compact.js
+// ACX Matrix retention + compaction (scheduled, see netlify.toml)
+// - Rolls events older than ACX_MATRIX_COMPACT_AFTER_DAYS into per-day
+//   per-location archives and deletes the originals (_lib/compaction.js)
+// - Drops archives older than ACX_MATRIX_RETENTION_DAYS
+// - History readers (summary, recent) read archived days transparently
+
+import { getMatrixStore } from "./_lib/matrix-store.js";
+import { compactMatrix } from "./_lib/compaction.js";
+
+const json = (obj, status = 200) =>
+  new Response(JSON.stringify(obj), {
+    status,
+    headers: { "Content-Type": "application/json", "Cache-Control": "no-store" },
+  });
+
+export default async () => {
+  try {
+    const result = await compactMatrix(getMatrixStore());
+    console.log("MATRIX_COMPACT", result);
+    return json({ ok: true, ...result });
+  } catch (e) {
+    console.error("MATRIX_COMPACT_FAILED", { error: e?.message || String(e) });
+    return json({ ok: false, error: e?.message || "Unknown error" }, 500);
+  }
+};
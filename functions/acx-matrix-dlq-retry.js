@@ -0,0 +1,27 @@
+// functions/acx-matrix-dlq-retry.js
+// ACX Matrix dead-letter retry (scheduled, see netlify.toml)
+// - Replays every pending dead-lettered forward whose backoff has elapsed
+// - Delivered entries are removed; failures back off (1m, 2m, 4m … 6h) and
+//   go "dead" after DLQ_MAX_ATTEMPTS, or at once on a permanent 4xx
+//   (manual replay / discard only)
+// - Inspect / replay / discard by hand: acx-matrix-dlq
+
+import { getMatrixStore } from "./_lib/matrix-store.js";
+import { retryDueDeadLetters } from "./_lib/forward.js";
+
+const json = (obj, status = 200) =>
+  new Response(JSON.stringify(obj), {
+    status,
+    headers: { "Content-Type": "application/json", "Cache-Control": "no-store" },
+  });
+
+export default async () => {
+  try {
+    const result = await retryDueDeadLetters(getMatrixStore());
+    if (result.due) console.log("DLQ_RETRY", result);
+    return json({ ok: true, ...result });
+  } catch (e) {
+    console.error("DLQ_RETRY_FAILED", { error: e?.message || String(e) });
+    return json({ ok: false, error: e?.message || "Unknown error" }, 500);
+  }
+};
@@ -0,0 +1,75 @@
+// functions/acx-matrix-dlq.js
+// ACX Matrix dead-letter queue admin (failed internal forwards, _lib/forward.js)
+// - GET                                   -> { ok, items: [...], counts }
+// - POST { action: "replay",  id }        -> one attempt now (removed if delivered)
+// - POST { action: "discard", id }        -> drop it
+//
+// Auth: dashboard session cookie OR a key with the admin scope
+
+import { getMatrixStore } from "./_lib/matrix-store.js";
+import { authorize } from "./_lib/api-keys.js";
+import {
+  listDeadLetters,
+  replayDeadLetter,
+  discardDeadLetter,
+  DLQ_MAX_ATTEMPTS,
+} from "./_lib/forward.js";
+
+const json = (obj, status = 200) =>
+  new Response(JSON.stringify(obj), {
+    status,
+    headers: { "Content-Type": "application/json", "Cache-Control": "no-store" },
+  });
+
+export default async (req) => {
+  try {
+    const store = getMatrixStore();
+
+    const raw = req.method === "GET" ? "" : await req.text().catch(() => "");
+
+    const auth = await authorize(req, "admin", { raw, store, session: true });
+    if (!auth.ok) {
+      return json({ ok: false, error: "Unauthorized", reason: auth.reason, scope: auth.scope }, auth.status);
+    }
+
+    if (req.method === "GET") {
+      const items = await listDeadLetters(store);
+      const count = (status) => items.filter((e) => e.status === status).length;
+      return json({
+        ok: true,
+        items,
+        counts: { total: items.length, pending: count("pending"), dead: count("dead") },
+        max_attempts: DLQ_MAX_ATTEMPTS,
+      });
+    }
+
+    if (req.method === "POST") {
+      let body = {};
+      try {
+        body = JSON.parse(raw);
+      } catch {
+        return json({ ok: false, error: "Invalid JSON body" }, 400);
+      }
+
+      const action = String(body.action || "").toLowerCase();
+      const id = String(body.id || "").trim();
+      if (!id) return json({ ok: false, error: "Missing id" }, 400);
+
+      let result;
+      if (action === "replay") result = await replayDeadLetter(store, id);
+      else if (action === "discard") result = await discardDeadLetter(store, id);
+      else return json({ ok: false, error: 'action must be "replay" or "discard"' }, 400);
+
+      if (!result.ok) return json(result, 404);
+      console.log("DLQ_ADMIN", { action, id, by: auth.keyId, delivered: result.delivered });
+      return json({ ...result, action });
+    }
+
+    return json({ ok: false, error: "Method Not Allowed" }, 405);
+  } catch (e) {
+    return json(
+      { ok: false, error: e?.message || "Unknown error", where: "acx-matrix-dlq" },
+      500
+    );
+  }
+};
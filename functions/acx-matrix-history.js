@@ -0,0 +1,209 @@
+// functions/acx-matrix-history.js
+// Paginated event history for one location (or the global index), so a
+// location's last month can be investigated instead of only the tail that
+// acx-matrix-summary exposes.
+// Auth: dashboard session cookie OR a key with matrix:read (_lib/api-keys.js)
+//
+// GET ?account=ACX                 (default ACX)
+//     &location=<id>               omit for the global index
+//     &from=&to=                   ISO date/time or epoch ms (default: everything)
+//     &source=ingest,sentinel      comma list, matches ev.source
+//     &integrity=degraded,critical comma list of the LOCKED enum
+//     &kind=all|metrics|workflow   metrics = the summary's "recent" rows
+//     &limit=100                   1..500
+//     &cursor=<next_cursor>        from the previous page
+//
+// Pages walk live day shards, the legacy index:loc / index:global keys and
+// compacted archive days newest first (readEventHistoryPage in
+// _lib/matrix-store.js). A page can come back short when filters are narrow;
+// keep following next_cursor until it is null.
+
+import { authorize } from "./_lib/api-keys.js";
+import { getMatrixStore, readEventHistoryPage } from "./_lib/matrix-store.js";
+import { loadMetricRegistry } from "./_lib/metrics.js";
+
+const json = (obj, status = 200) =>
+  new Response(JSON.stringify(obj), {
+    status,
+    headers: { "Content-Type": "application/json", "Cache-Control": "no-store" },
+  });
+
+// Events examined per request, however narrow the filters
+const SCAN_BUDGET = 2000;
+
+const KINDS = ["all", "metrics", "workflow"];
+const INTEGRITY = ["ok", "degraded", "critical", "unknown"];
+
+// ---------------- helpers ----------------
+// Same classification rules as acx-matrix-summary
+
+function getField(e, key) {
+  return e?.[key] ?? e?.data?.[key] ?? null;
+}
+
+// LOCKED integrity enum: ok | degraded | critical | unknown
+function normalizeIntegrity(raw) {
+  const v = String(raw || "unknown").toLowerCase().trim();
+  if (v === "ok") return "ok";
+  if (v === "degraded" || v === "warn" || v === "warning") return "degraded";
+  if (v === "critical" || v === "crit" || v === "down") return "critical";
+  return "unknown";
+}
+
+function getIntegrity(ev) {
+  return normalizeIntegrity(
+    ev?.acx_integrity ?? ev?.integrity ?? ev?.data?.acx_integrity ?? ev?.data?.integrity
+  );
+}
+
+// EMPIRE: any present metric counts (including 0); missing is null
+function hasMetrics(ev, registry) {
+  return registry.some((m) => {
+    const v = getField(ev, m.name);
+    if (v === null || v === undefined || (typeof v === "string" && v.trim() === "")) return false;
+    return Number.isFinite(Number(v));
+  });
+}
+
+function isWorkflowEvent(ev) {
+  return !!(
+    getField(ev, "event_name") ||
+    getField(ev, "stage") ||
+    getField(ev, "priority") ||
+    getField(ev, "acx_event") ||
+    getField(ev, "acx_stage") ||
+    getField(ev, "acx_status")
+  );
+}
+
+function locationOf(ev) {
+  const v = ev?.location ?? ev?.data?.location ?? "";
+  if (v && typeof v === "object") return String(v.id || v.locationId || "");
+  return String(v || "");
+}
+
+// undefined when absent, NaN when unparseable or outside the Date range
+function parseTime(raw) {
+  const s = String(raw || "").trim();
+  if (!s) return undefined;
+  const ms = /^\d+$/.test(s) ? Number(s) : Date.parse(s);
+  return Number.isFinite(new Date(ms).getTime()) ? ms : NaN;
+}
+
+const csv = (raw) =>
+  String(raw || "")
+    .split(",")
+    .map((s) => s.trim().toLowerCase())
+    .filter(Boolean);
+
+// Cursors are opaque to callers: base64url of the last examined event key
+const encodeCursor = (key) => (key ? Buffer.from(key, "utf8").toString("base64url") : null);
+
+function decodeCursor(raw) {
+  if (!raw) return "";
+  const key = Buffer.from(String(raw), "base64url").toString("utf8");
+  return /^event:\d+:/.test(key) ? key : null;
+}
+
+// ---------------- main ----------------
+export default async (req) => {
+  try {
+    if (req.method !== "GET") return json({ ok: false, error: "Method Not Allowed" }, 405);
+
+    const store = getMatrixStore();
+
+    const auth = await authorize(req, "matrix:read", { store, session: true });
+    if (!auth.ok) {
+      return json(
+        { ok: false, error: "Unauthorized", reason: auth.reason, scope: auth.scope },
+        auth.status
+      );
+    }
+
+    const url = new URL(req.url);
+    const q = url.searchParams;
+
+    const account = String(q.get("account") || "ACX").trim() || "ACX";
+    const location = String(q.get("location") || "").trim();
+
+    const from = parseTime(q.get("from"));
+    const to = parseTime(q.get("to"));
+    if (Number.isNaN(from) || Number.isNaN(to)) {
+      return json({ ok: false, error: "from/to must be ISO timestamps or epoch ms" }, 400);
+    }
+    if (from !== undefined && to !== undefined && from > to) {
+      return json({ ok: false, error: "from must not be after to" }, 400);
+    }
+
+    const kind = String(q.get("kind") || "all").toLowerCase();
+    if (!KINDS.includes(kind)) {
+      return json({ ok: false, error: `kind must be one of ${KINDS.join(", ")}` }, 400);
+    }
+
+    const integrity = csv(q.get("integrity"));
+    const badIntegrity = integrity.filter((v) => !INTEGRITY.includes(v));
+    if (badIntegrity.length) {
+      return json({ ok: false, error: `Unknown integrity: ${badIntegrity.join(", ")}` }, 400);
+    }
+
+    const sources = csv(q.get("source"));
+
+    const cursor = decodeCursor(q.get("cursor"));
+    if (cursor === null) return json({ ok: false, error: "Invalid cursor" }, 400);
+
+    const limit = Math.max(1, Math.min(500, Math.floor(Number(q.get("limit") || 100)) || 100));
+
+    const registry = kind === "all" ? [] : await loadMetricRegistry(store);
+
+    const accept = (ev) => {
+      // the global index spans every account
+      if (!location && q.has("account") && String(ev.account || "ACX") !== account) return false;
+      if (sources.length && !sources.includes(String(ev.source || "").toLowerCase())) return false;
+      if (integrity.length && !integrity.includes(getIntegrity(ev))) return false;
+      if (kind === "metrics") return hasMetrics(ev, registry) && !isWorkflowEvent(ev);
+      if (kind === "workflow") return isWorkflowEvent(ev);
+      return true;
+    };
+
+    const page = await readEventHistoryPage(store, {
+      account,
+      location,
+      fromMs: from ?? 0,
+      toMs: to ?? Date.now(),
+      before: cursor,
+      limit,
+      budget: SCAN_BUDGET,
+      accept,
+    });
+
+    const events = page.events.map(({ key, ev }) => ({
+      key,
+      ...ev,
+      location: locationOf(ev),
+      integrity: getIntegrity(ev),
+    }));
+
+    return json({
+      ok: true,
+      account,
+      location: location || null,
+      filters: {
+        from: from === undefined ? null : new Date(from).toISOString(),
+        to: to === undefined ? null : new Date(to).toISOString(),
+        source: sources,
+        integrity,
+        kind,
+      },
+      count: events.length,
+      events,
+      next_cursor: encodeCursor(page.next),
+      scanned: page.scanned,
+      meta: { build: "history_v1" },
+    });
+  } catch (e) {
+    return json(
+      { ok: false, error: e?.message || "Unknown error", where: "acx-matrix-history" },
+      500
+    );
+  }
+};
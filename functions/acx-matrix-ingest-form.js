@@ -1,11 +1,23 @@
 // functions/acx-matrix-ingest-form.js
 // Browser-safe ingest relay (cookie session required)
-// - Forwards to acx-matrix-webhook server-side with x-acx-secret
+// - Forwards to acx-matrix-webhook server-side, HMAC-signed (_lib/signature.js)
 // - MUST send x-acx-source: ingest (so webhook can write summary metrics)
 // - Empire: missing/blank/invalid metrics become null (NOT 0)
 // - Supports metrics top-level OR inside data:{...}
+// - Registered custom metrics (_lib/metrics.js) are forwarded too
+// - Explain mode (?explain=1 or x-acx-explain: 1) is forwarded as a dry run;
+//   the response adds which alias each field was read from here
+// - Webhook down: the forward is dead-lettered (_lib/forward.js) -> 202 queued;
+//   a permanent 4xx is dead-lettered as dead and passed through
 
 import { requireSession } from "./_lib/session.js";
+import { getMatrixStore } from "./_lib/matrix-store.js";
+import { loadMetricRegistry, metricAliases } from "./_lib/metrics.js";
+import { hasSigningKey } from "./_lib/signature.js";
+import { forwardSigned } from "./_lib/forward.js";
+import { functionUrl } from "./_lib/config.js";
+import { isExplain } from "./_lib/explain.js";
+import { ON_BEHALF_HEADER } from "./_lib/api-keys.js";
 
 const json = (obj, status = 200) =>
   new Response(JSON.stringify(obj), {
@@ -44,11 +56,18 @@ function pick(obj, keys) {
   return "";
 }
 
-function getField(body, keys) {
+// Field lookup that also reports which alias won ("uptime", "data.uptime", …)
+function getFieldAlias(body, keys) {
   // supports both top-level and body.data.*
-  const top = pick(body, keys);
-  if (top !== "") return top;
-  return pick(body?.data, keys);
+  for (const [obj, prefix] of [[body, ""], [body?.data, "data."]]) {
+    for (const k of keys) {
+      const v = obj?.[k];
+      if (v !== undefined && v !== null && String(v).trim() !== "") {
+        return { alias: prefix + k, value: v };
+      }
+    }
+  }
+  return { alias: null, value: "" };
 }
 
 function toStr(v) {
@@ -101,23 +120,31 @@ export default async (req) => {
     return json({ ok: false, error: "Invalid JSON body" }, 400);
   }
 
+  // alias each forwarded field was read from (reported in explain mode)
+  const resolved = {};
+  const field = (name, keys) => {
+    const hit = getFieldAlias(body, keys);
+    resolved[name] = hit.alias;
+    return hit.value;
+  };
+
   const account =
-    toStr(getField(body, ["account", "account_name", "accountName"])) || "ACX";
+    toStr(field("account", ["account", "account_name", "accountName"])) || "ACX";
 
   const location = toStr(
-    getField(body, ["location", "location_id", "locationId", "locationID"])
+    field("location", ["location", "location_id", "locationId", "locationID"])
   );
 
   const missingLoc = requireNonEmpty("location", location);
   if (missingLoc) return missingLoc;
 
   const run_id =
-    toStr(getField(body, ["run_id", "runId", "test_run_id", "testRunId"])) ||
+    toStr(field("run_id", ["run_id", "runId", "test_run_id", "testRunId"])) ||
     `run_INGEST_FORM_${Date.now()}`;
 
   // LOCK: ok|degraded|critical|unknown
   const acx_integrity = normalizeIntegrity(
-    getField(body, [
+    field("integrity", [
       "acx_integrity",
       "integrity",
       "integrity_status",
@@ -127,24 +154,26 @@ export default async (req) => {
 
   // metrics — support multiple key aliases
   const uptime = toNumberOrNull(
-    getField(body, ["uptime", "uptime_pct", "uptimePct"])
+    field("uptime", ["uptime", "uptime_pct", "uptimePct"])
   );
   const response_ms = toNumberOrNull(
-    getField(body, ["response_ms", "responseMs", "response", "resp"])
+    field("response_ms", ["response_ms", "responseMs", "response", "resp"])
   );
-  const conversion = toNumberOrNull(getField(body, ["conversion", "conv"]));
+  const conversion = toNumberOrNull(field("conversion", ["conversion", "conv"]));
   const quotes_recovered = toNumberOrNull(
-    getField(body, ["quotes_recovered", "quotesRecovered", "quotes"])
+    field("quotes_recovered", ["quotes_recovered", "quotesRecovered", "quotes"])
   );
 
-  // SINGLE SOURCE OF TRUTH: ACX_SECRET (matches webhook + summary)
-  const secret = (process.env.ACX_SECRET || "").trim();
-  if (!secret)
+  // Signing key: ACX_SIGNING_KEYS, else ACX_SECRET (matches webhook + summary)
+  if (!hasSigningKey())
     return json({ ok: false, error: "Server missing ACX_SECRET env var" }, 500);
 
-  // Forward to the single writer (same origin in prod)
-  const origin = new URL(req.url).origin;
-  const forwardUrl = `${origin}/.netlify/functions/acx-matrix-webhook`;
+  // Forward to the single writer on this deploy (_lib/config.js)
+  const explain = isExplain(req);
+  const forwardUrl = functionUrl("acx-matrix-webhook", {
+    origin: new URL(req.url).origin,
+    query: explain ? "?explain=1" : "",
+  });
 
   // Build payload; omit null metrics entirely to avoid any downstream ambiguity
   const payload = {
@@ -159,20 +188,53 @@ export default async (req) => {
   if (conversion !== null) payload.conversion = conversion;
   if (quotes_recovered !== null) payload.quotes_recovered = quotes_recovered;
 
-  const r = await fetch(forwardUrl, {
-    method: "POST",
-    headers: {
-      "Content-Type": "application/json",
-      "x-acx-secret": secret,
-      // MUST be EXACT "ingest"
-      "x-acx-source": "ingest",
-    },
-    body: JSON.stringify(payload),
-  });
+  // Registered custom metrics (same null rule)
+  const registry = await loadMetricRegistry(getMatrixStore());
+  for (const m of registry.filter((d) => !d.builtin)) {
+    const v = toNumberOrNull(field(m.name, metricAliases(m)));
+    if (v !== null) payload[m.name] = v;
+  }
+
+  const headers = {
+    "Content-Type": "application/json",
+    // stored as key_id on the event row
+    [ON_BEHALF_HEADER]: "session",
+    // MUST be EXACT "ingest"
+    "x-acx-source": "ingest",
+  };
+
+  // Pass retries' Idempotency-Key through so the webhook can dedupe them
+  const idem = (req.headers.get("idempotency-key") || "").trim();
+  if (idem) headers["Idempotency-Key"] = idem;
+
+  // Signed per attempt; dry runs are never dead-lettered
+  const r = await forwardSigned(
+    { kind: "ingest-form", url: forwardUrl, headers, body: JSON.stringify(payload) },
+    { deadLetter: !explain }
+  );
 
-  const text = await r.text();
+  if (r.dead_letter && !r.permanent) {
+    return json(
+      { ok: true, forwarded: false, queued: true, dead_letter: r.dead_letter, upstream_status: r.status },
+      202
+    );
+  }
+
+  // Unreachable and not queued (explain)
+  if (!r.status) return json({ ok: false, forwarded: false, error: r.error }, 502);
+
+  const ok = r.status >= 200 && r.status < 300;
+  const text = r.text;
+  const dead = r.dead_letter ? { dead_letter: r.dead_letter } : {};
   try {
-    return json({ ok: r.ok, forwarded: true, upstream: JSON.parse(text) }, r.status);
+    const upstream = JSON.parse(text);
+    if (explain) {
+      return json(
+        { ok, forwarded: true, explain, forwarder: { resolved, payload }, upstream, ...dead },
+        r.status
+      );
+    }
+    return json({ ok, forwarded: true, upstream, ...dead }, r.status);
   } catch {
     return new Response(text, {
       status: r.status,
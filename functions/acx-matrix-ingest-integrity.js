@@ -3,6 +3,24 @@
 // This endpoint must NOT write blobs directly.
 // It must forward into acx-matrix-webhook (single source of truth),
 // because the dashboard reads the webhook schema only.
+//
+// Explain mode (?explain=1 or x-acx-explain: 1) is forwarded as a dry run;
+// the response adds which alias each field was read from here.
+//
+// Inbound requests need integrity:write (API key, or a signed / legacy-flagged
+// signing key); the forward to the webhook is signed with our own key
+// (_lib/signature.js) and names the caller via x-acx-on-behalf-of.
+//
+// If the webhook is unreachable the forward is dead-lettered (_lib/forward.js)
+// and retried on a schedule; the caller gets 202 with the dead_letter id. A
+// permanent 4xx (bad key, bad body) is dead-lettered as dead and passed
+// through with its dead_letter id.
+
+import { hasSigningKey } from "./_lib/signature.js";
+import { forwardSigned } from "./_lib/forward.js";
+import { functionUrl } from "./_lib/config.js";
+import { isExplain } from "./_lib/explain.js";
+import { authorize, actingKeyId, ON_BEHALF_HEADER } from "./_lib/api-keys.js";
 
 const json = (obj, status = 200) =>
   new Response(JSON.stringify(obj), {
@@ -10,12 +28,13 @@ const json = (obj, status = 200) =>
     headers: { "Content-Type": "application/json", "Cache-Control": "no-store" },
   });
 
-function pickFirst(obj, keys) {
+// First non-blank key, plus which key won (explain mode)
+function pickFirstAlias(obj, keys) {
   for (const k of keys) {
     const v = obj?.[k];
-    if (v !== undefined && v !== null && String(v).trim() !== "") return v;
+    if (v !== undefined && v !== null && String(v).trim() !== "") return { alias: k, value: v };
   }
-  return undefined;
+  return { alias: null, value: undefined };
 }
 
 // Handle GHL “standard data” where location might come as object
@@ -31,49 +50,50 @@ function coerceLocationId(v) {
   return String(v).trim();
 }
 
-// Allow both secrets so you don’t get locked out by env drift
-function authOk(req) {
-  const got = (req.headers.get("x-acx-secret") || "").trim();
-
-  const expectedA = (process.env.ACX_WEBHOOK_SECRET || "").trim();
-  const expectedB = (process.env.ACX_SECRET || "").trim();
-  const expectedC = (process.env.X_ACX_SECRET || "").trim();
-
-  if (!got) return false;
-  if (expectedA && got === expectedA) return true;
-  if (expectedB && got === expectedB) return true;
-  if (expectedC && got === expectedC) return true;
-
-  return false;
-}
-
 export default async (req) => {
   try {
     if (req.method === "OPTIONS") return json({ ok: true }, 200);
     if (req.method !== "POST")
       return json({ ok: false, error: "Method Not Allowed" }, 405);
 
-    if (!authOk(req)) return json({ ok: false, error: "Unauthorized" }, 401);
+    const raw = await req.text();
+
+    // Any configured key works, so you don’t get locked out by env drift
+    const auth = await authorize(req, "integrity:write", { raw });
+    if (!auth.ok) {
+      return json(
+        { ok: false, error: "Unauthorized", reason: auth.reason, scope: auth.scope },
+        auth.status
+      );
+    }
 
     let body = {};
     try {
-      body = await req.json();
+      body = JSON.parse(raw);
     } catch {
       return json({ ok: false, error: "Bad JSON" }, 400);
     }
 
+    // alias each forwarded field was read from (reported in explain mode)
+    const resolved = {};
+    const field = (name, keys) => {
+      const hit = pickFirstAlias(body, keys);
+      resolved[name] = hit.alias;
+      return hit.value;
+    };
+
     // Accept both keys, prefer explicit "integrity"
-    const integrityRaw = pickFirst(body, ["integrity", "acx_integrity"]);
+    const integrityRaw = field("integrity", ["integrity", "acx_integrity"]);
     const integrity = String(integrityRaw || "").toLowerCase().trim();
 
     // Accept location OR location_id OR locationId and handle object
     const location = coerceLocationId(
-      pickFirst(body, ["location", "location_id", "locationId"])
+      field("location", ["location", "location_id", "locationId"])
     );
 
-    const account = String(pickFirst(body, ["account", "account_name"]) || "ACX").trim() || "ACX";
+    const account = String(field("account", ["account", "account_name"]) || "ACX").trim() || "ACX";
     const run_id =
-      String(pickFirst(body, ["run_id", "runId"]) || "").trim() ||
+      String(field("run_id", ["run_id", "runId"]) || "").trim() ||
       `run-${Date.now()}`;
 
     if (!location) return json({ ok: false, error: "Missing location" }, 400);
@@ -96,41 +116,70 @@ export default async (req) => {
       quotes_recovered: body.quotes_recovered ?? "",
 
       // preserve source if caller provided it
-      source: String(pickFirst(body, ["source"]) || "sentinel").trim(),
+      source: String(field("source", ["source"]) || "sentinel").trim(),
     };
 
     // Forward to the single writer
-    const origin = new URL(req.url).origin;
-    const forwardUrl = `${origin}/.netlify/functions/acx-matrix-webhook`;
-
-    // Use the SAME secret the webhook expects
-    const secret =
-      (process.env.ACX_SECRET || "").trim() ||
-      (process.env.ACX_WEBHOOK_SECRET || "").trim() ||
-      (process.env.X_ACX_SECRET || "").trim();
+    const explain = isExplain(req);
+    const forwardUrl = functionUrl("acx-matrix-webhook", {
+      origin: new URL(req.url).origin,
+      query: explain ? "?explain=1" : "",
+    });
 
-    if (!secret) {
+    if (!hasSigningKey()) {
       return json({ ok: false, error: "Server missing ACX secret env var" }, 500);
     }
 
-    const upstream = await fetch(forwardUrl, {
-      method: "POST",
-      headers: {
-        "Content-Type": "application/json",
-        "x-acx-secret": secret,
-
-                // Do NOT allow metric writes from integrity-only posts
-        // (webhook will still update integrity when present)
-        "x-acx-source": "sentinel",
-      },
-      body: JSON.stringify(payload),
-    });
+    const headers = {
+      "Content-Type": "application/json",
+      [ON_BEHALF_HEADER]: actingKeyId(req, auth),
+
+              // Do NOT allow metric writes from integrity-only posts
+      // (webhook will still update integrity when present)
+      "x-acx-source": "sentinel",
+    };
+
+    // Pass retries' Idempotency-Key through so the webhook can dedupe them
+    const idem = (req.headers.get("idempotency-key") || "").trim();
+    if (idem) headers["Idempotency-Key"] = idem;
+
+    // Signed per attempt; dry runs are never dead-lettered
+    const upstream = await forwardSigned(
+      { kind: "ingest-integrity", url: forwardUrl, headers, body: JSON.stringify(payload) },
+      { deadLetter: !explain }
+    );
+
+    if (upstream.dead_letter && !upstream.permanent) {
+      return json(
+        {
+          ok: true,
+          forwarded: false,
+          queued: true,
+          dead_letter: upstream.dead_letter,
+          upstream_status: upstream.status,
+        },
+        202
+      );
+    }
+
+    // Unreachable and not queued (explain)
+    if (!upstream.status) {
+      return json({ ok: false, forwarded: false, error: upstream.error }, 502);
+    }
 
-    const text = await upstream.text();
+    const text = upstream.text;
+    const dead = upstream.dead_letter ? { dead_letter: upstream.dead_letter } : {};
 
     // Pass through upstream as-is
     try {
-      return json({ ok: true, forwarded: true, upstream: JSON.parse(text) }, upstream.status);
+      const parsed = JSON.parse(text);
+      if (explain) {
+        return json(
+          { ok: true, forwarded: true, explain, forwarder: { resolved, payload }, upstream: parsed, ...dead },
+          upstream.status
+        );
+      }
+      return json({ ok: true, forwarded: true, upstream: parsed, ...dead }, upstream.status);
     } catch {
       return new Response(text, {
         status: upstream.status,
@@ -0,0 +1,72 @@
+// functions/acx-matrix-keys.js
+// ACX scoped API key admin (see _lib/api-keys.js)
+// - GET                          -> { ok, keys: [...], scopes } (no hashes)
+// - POST { name, scopes: [...] } -> { ok, key, token } (token is shown ONCE)
+// - DELETE ?id=ak_...            -> revoke (record kept, with who/when)
+//
+// Auth: dashboard session cookie OR a key with the admin scope
+
+import { getMatrixStore } from "./_lib/matrix-store.js";
+import {
+  SCOPES,
+  authorize,
+  createApiKey,
+  revokeApiKey,
+  listApiKeys,
+} from "./_lib/api-keys.js";
+
+const json = (obj, status = 200) =>
+  new Response(JSON.stringify(obj), {
+    status,
+    headers: { "Content-Type": "application/json", "Cache-Control": "no-store" },
+  });
+
+export default async (req) => {
+  try {
+    const store = getMatrixStore();
+
+    const raw = req.method === "GET" ? "" : await req.text().catch(() => "");
+
+    const auth = await authorize(req, "admin", { raw, store, session: true });
+    if (!auth.ok) {
+      return json({ ok: false, error: "Unauthorized", reason: auth.reason, scope: auth.scope }, auth.status);
+    }
+
+    if (req.method === "GET") {
+      return json({ ok: true, keys: await listApiKeys(store), scopes: SCOPES });
+    }
+
+    if (req.method === "POST") {
+      let body = {};
+      try {
+        body = JSON.parse(raw);
+      } catch {
+        return json({ ok: false, error: "Invalid JSON body" }, 400);
+      }
+
+      const created = await createApiKey(store, {
+        name: body.name,
+        scopes: body.scopes,
+        createdBy: auth.keyId,
+      });
+      if (!created.ok) return json({ ok: false, error: created.error }, 400);
+
+      return json({ ok: true, key: created.key, token: created.token }, 201);
+    }
+
+    if (req.method === "DELETE") {
+      const id = new URL(req.url).searchParams.get("id") || "";
+      const revoked = await revokeApiKey(store, id, auth.keyId);
+      if (!revoked.ok) return json({ ok: false, error: revoked.error }, 404);
+
+      return json({ ok: true, key: revoked.key });
+    }
+
+    return json({ ok: false, error: "Method Not Allowed" }, 405);
+  } catch (e) {
+    return json(
+      { ok: false, error: e?.message || "Unknown error", where: "acx-matrix-keys" },
+      500
+    );
+  }
+};
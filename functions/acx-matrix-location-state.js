@@ -0,0 +1,148 @@
+// functions/acx-matrix-location-state.js
+// Archive / restore / purge a location (see "lifecycle" in _lib/locations.js)
+// - GET  ?account=                        -> { ok, archived: [...] }
+// - GET  ?account=&location=              -> { ok, state, audit: [...] }
+// - POST { action: "archive", account, location, reason }
+//        hides it from the live list + stale counters; history stays readable
+// - POST { action: "restore", account, location, reason }
+// - POST { action: "purge",   account, location, reason }
+//        archived locations only: deletes its events, index shards, archived
+//        parts, rollups, integrity transitions, alert states, baseline +
+//        anomaly log, summary and registry record.
+//        Large locations take several calls: 202 { more: true } until the
+//        purge completes.
+//
+// Every action is appended to the location's audit trail (who + when).
+// Auth: dashboard session cookie, or a key with matrix:read (GET) / admin (POST)
+
+import { getMatrixStore, purgeLocationData } from "./_lib/matrix-store.js";
+import { authorize, actingKeyId } from "./_lib/api-keys.js";
+import { deleteRollups } from "./_lib/rollups.js";
+import { deleteTransitions } from "./_lib/transitions.js";
+import { deleteAlertStates } from "./_lib/alerts.js";
+import { deleteBaselines } from "./_lib/baselines.js";
+import {
+  readLocationState,
+  listArchivedLocations,
+  setLocationState,
+  appendLocationAudit,
+  listLocationAudit,
+  deleteLocationMeta,
+} from "./_lib/locations.js";
+
+const json = (obj, status = 200) =>
+  new Response(JSON.stringify(obj), {
+    status,
+    headers: { "Content-Type": "application/json", "Cache-Control": "no-store" },
+  });
+
+const ACTIONS = ["archive", "restore", "purge"];
+
+// Events removed per purge call (keeps one call inside the function timeout)
+const PURGE_BATCH = 1000;
+
+export default async (req) => {
+  try {
+    const store = getMatrixStore();
+
+    // Raw body first: signed callers' signatures cover it
+    const raw = req.method === "GET" ? "" : await req.text().catch(() => "");
+
+    const scope = req.method === "GET" ? "matrix:read" : "admin";
+    const auth = await authorize(req, scope, { raw, store, session: true });
+    if (!auth.ok) {
+      return json({ ok: false, error: "Unauthorized", reason: auth.reason, scope: auth.scope }, auth.status);
+    }
+
+    if (req.method === "GET") {
+      const url = new URL(req.url);
+      const account = String(url.searchParams.get("account") || "").trim();
+      const location = String(url.searchParams.get("location") || "").trim();
+
+      if (!location) {
+        return json({ ok: true, archived: await listArchivedLocations(store, account || undefined) });
+      }
+
+      const acct = account || "ACX";
+      const [state, audit] = await Promise.all([
+        readLocationState(store, acct, location),
+        listLocationAudit(store, acct, location),
+      ]);
+      return json({ ok: true, account: acct, location, state, audit });
+    }
+
+    if (req.method !== "POST") return json({ ok: false, error: "Method Not Allowed" }, 405);
+
+    let body = {};
+    try {
+      body = JSON.parse(raw);
+    } catch {
+      return json({ ok: false, error: "Invalid JSON body" }, 400);
+    }
+
+    const action = String(body.action || "").toLowerCase();
+    if (!ACTIONS.includes(action)) {
+      return json({ ok: false, error: `action must be one of ${ACTIONS.join(", ")}` }, 400);
+    }
+
+    const account = String(body.account || "ACX").trim() || "ACX";
+    const location = String(body.location || "").trim();
+    if (!location) return json({ ok: false, error: "Missing location" }, 400);
+
+    const by = actingKeyId(req, auth);
+    const reason = String(body.reason || "");
+    const current = await readLocationState(store, account, location);
+
+    if (action === "archive") {
+      if (current.status === "archived") return json({ ok: true, unchanged: true, state: current });
+
+      const state = await setLocationState(store, { account, location, status: "archived", by, reason });
+      await appendLocationAudit(store, { account, location, action, by, reason });
+      return json({ ok: true, account, location, state });
+    }
+
+    if (action === "restore") {
+      if (current.status !== "archived") return json({ ok: true, unchanged: true, state: current });
+
+      const state = await setLocationState(store, { account, location, status: "active", by, reason });
+      await appendLocationAudit(store, { account, location, action, by, reason });
+      return json({ ok: true, account, location, state });
+    }
+
+    // purge: two-step on purpose, so a typo can't wipe a live location
+    if (current.status !== "archived") {
+      return json({ ok: false, error: "Archive the location before purging it" }, 409);
+    }
+
+    const res = await purgeLocationData(store, { account, location, maxEvents: PURGE_BATCH });
+    if (res.more) {
+      return json({ ok: true, account, location, more: true, events_deleted: res.events }, 202);
+    }
+
+    const rollups = await deleteRollups(store, { account, location });
+    const transitions = await deleteTransitions(store, { account, location });
+    const alert_states = await deleteAlertStates(store, { account, location });
+    const anomalies = await deleteBaselines(store, { account, location });
+    await deleteLocationMeta(store, account, location);
+    await setLocationState(store, { account, location, status: "active", by });
+    await appendLocationAudit(store, {
+      account,
+      location,
+      action,
+      by,
+      reason,
+      archive_parts: res.archive_parts,
+      rollups,
+      transitions,
+      alert_states,
+      anomalies,
+    });
+
+    return json({ ok: true, account, location, more: false, purged: true, events_deleted: res.events });
+  } catch (e) {
+    return json(
+      { ok: false, error: e?.message || "Unknown error", where: "acx-matrix-location-state" },
+      500
+    );
+  }
+};
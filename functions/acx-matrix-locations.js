@@ -0,0 +1,83 @@
+// functions/acx-matrix-locations.js
+// ACX Matrix location registry admin (display names, client, timezone, tags,
+// owner, expected ingest interval; see _lib/locations.js)
+// - GET    ?account=&location=      -> { ok, location } (one) or { ok, locations }
+// - POST   { account, location, … } -> create / replace one record
+// - PATCH  { account, location, … } -> update only the fields given
+// - DELETE ?account=&location=      -> remove the record (data is untouched)
+//
+// Auth: dashboard session cookie, or a key with matrix:read (GET) / admin (writes)
+
+import { getMatrixStore } from "./_lib/matrix-store.js";
+import { authorize, actingKeyId } from "./_lib/api-keys.js";
+import {
+  listLocationMeta,
+  readLocationMeta,
+  saveLocationMeta,
+  deleteLocationMeta,
+} from "./_lib/locations.js";
+
+const json = (obj, status = 200) =>
+  new Response(JSON.stringify(obj), {
+    status,
+    headers: { "Content-Type": "application/json", "Cache-Control": "no-store" },
+  });
+
+export default async (req) => {
+  try {
+    const store = getMatrixStore();
+
+    // Raw body first: signed callers' signatures cover it
+    const raw = req.method === "GET" || req.method === "DELETE" ? "" : await req.text().catch(() => "");
+
+    const scope = req.method === "GET" ? "matrix:read" : "admin";
+    const auth = await authorize(req, scope, { raw, store, session: true });
+    if (!auth.ok) {
+      return json({ ok: false, error: "Unauthorized", reason: auth.reason, scope: auth.scope }, auth.status);
+    }
+
+    const url = new URL(req.url);
+    const account = String(url.searchParams.get("account") || "").trim();
+    const location = String(url.searchParams.get("location") || "").trim();
+
+    if (req.method === "GET") {
+      if (location) {
+        const meta = await readLocationMeta(store, account || "ACX", location);
+        if (!meta) return json({ ok: false, error: "Unknown location" }, 404);
+        return json({ ok: true, location: meta });
+      }
+      return json({ ok: true, locations: await listLocationMeta(store, account || undefined) });
+    }
+
+    if (req.method === "POST" || req.method === "PUT" || req.method === "PATCH") {
+      let body = {};
+      try {
+        body = JSON.parse(raw);
+      } catch {
+        return json({ ok: false, error: "Invalid JSON body" }, 400);
+      }
+
+      const saved = await saveLocationMeta(store, body, {
+        merge: req.method === "PATCH",
+        updatedBy: actingKeyId(req, auth),
+      });
+      if (!saved.ok) return json({ ok: false, error: saved.error }, 400);
+
+      return json({ ok: true, location: saved.meta });
+    }
+
+    if (req.method === "DELETE") {
+      const removed = await deleteLocationMeta(store, account, location);
+      if (!removed.ok) return json({ ok: false, error: removed.error }, removed.error === "Unknown location" ? 404 : 400);
+
+      return json(removed);
+    }
+
+    return json({ ok: false, error: "Method Not Allowed" }, 405);
+  } catch (e) {
+    return json(
+      { ok: false, error: e?.message || "Unknown error", where: "acx-matrix-locations" },
+      500
+    );
+  }
+};
@@ -0,0 +1,69 @@
+// functions/acx-matrix-metrics.js
+// ACX Matrix metric registry admin
+// - GET                 -> { ok, metrics: [...] } (built-ins + custom)
+// - POST  { def }       -> create/update one metric (see _lib/metrics.js)
+// - DELETE ?name=...    -> remove a custom metric / reset a built-in override
+//
+// Auth: dashboard session cookie, or a key with matrix:read (GET) / admin (writes)
+
+import { getMatrixStore } from "./_lib/matrix-store.js";
+import { authorize } from "./_lib/api-keys.js";
+import {
+  loadMetricRegistry,
+  saveMetricDef,
+  deleteMetricDef,
+} from "./_lib/metrics.js";
+
+const json = (obj, status = 200) =>
+  new Response(JSON.stringify(obj), {
+    status,
+    headers: { "Content-Type": "application/json", "Cache-Control": "no-store" },
+  });
+
+export default async (req) => {
+  try {
+    const store = getMatrixStore();
+
+    // Raw body first: signed callers' signatures cover it
+    const raw = req.method === "GET" ? "" : await req.text().catch(() => "");
+
+    const scope = req.method === "GET" ? "matrix:read" : "admin";
+    const auth = await authorize(req, scope, { raw, store, session: true });
+    if (!auth.ok) {
+      return json({ ok: false, error: "Unauthorized", reason: auth.reason, scope: auth.scope }, auth.status);
+    }
+
+    if (req.method === "GET") {
+      return json({ ok: true, metrics: await loadMetricRegistry(store) });
+    }
+
+    if (req.method === "POST" || req.method === "PUT") {
+      let body = {};
+      try {
+        body = JSON.parse(raw);
+      } catch {
+        return json({ ok: false, error: "Invalid JSON body" }, 400);
+      }
+
+      const saved = await saveMetricDef(store, body);
+      if (!saved.ok) return json({ ok: false, error: saved.error }, 400);
+
+      return json({ ok: true, metric: saved.def, metrics: await loadMetricRegistry(store) });
+    }
+
+    if (req.method === "DELETE") {
+      const name = new URL(req.url).searchParams.get("name") || "";
+      const removed = await deleteMetricDef(store, name);
+      if (!removed.ok) return json({ ok: false, error: removed.error }, 400);
+
+      return json({ ok: true, ...removed, metrics: await loadMetricRegistry(store) });
+    }
+
+    return json({ ok: false, error: "Method Not Allowed" }, 405);
+  } catch (e) {
+    return json(
+      { ok: false, error: e?.message || "Unknown error", where: "acx-matrix-metrics" },
+      500
+    );
+  }
+};
@@ -0,0 +1,115 @@
+// functions/acx-matrix-mttr.js
+// Per-location integrity stats from the transition log (_lib/transitions.js):
+// time in each state, incident count, mean time to recover, longest outage.
+//
+// GET ?account=ACX
+//     &location=<id>     omit for every live location of the account
+//     &from=&to=         ISO or epoch ms (default: the last 30 days)
+//     &transitions=1     include the chained transitions (one location only)
+//
+// -> { ok, account, from, to, locations: [{ location, display_name, ...stats }],
+//      totals: { incidents, recovered, mttr_ms, longest_outage_ms } }
+//
+// Auth: dashboard session cookie OR a key with matrix:read (_lib/api-keys.js)
+
+import { authorize } from "./_lib/api-keys.js";
+import { getMatrixStore, listLocationSummaries, mapLimit } from "./_lib/matrix-store.js";
+import { listLocationMeta, listArchivedLocations } from "./_lib/locations.js";
+import { readTransitions, integrityStats } from "./_lib/transitions.js";
+
+const json = (obj, status = 200) =>
+  new Response(JSON.stringify(obj), {
+    status,
+    headers: { "Content-Type": "application/json", "Cache-Control": "no-store" },
+  });
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const DEFAULT_RANGE_DAYS = 30;
+const MAX_RANGE_DAYS = 366;
+
+// ISO or epoch ms; undefined when absent, NaN when unparseable
+function parseTime(raw) {
+  const s = String(raw || "").trim();
+  if (!s) return undefined;
+  if (/^\d+$/.test(s)) return Number(s);
+  return Date.parse(s);
+}
+
+export default async (req) => {
+  try {
+    if (req.method !== "GET") return json({ ok: false, error: "Method Not Allowed" }, 405);
+
+    const store = getMatrixStore();
+
+    const auth = await authorize(req, "matrix:read", { store, session: true });
+    if (!auth.ok) {
+      return json(
+        { ok: false, error: "Unauthorized", reason: auth.reason, scope: auth.scope },
+        auth.status
+      );
+    }
+
+    const q = new URL(req.url).searchParams;
+    const account = String(q.get("account") || "ACX").trim() || "ACX";
+    const location = String(q.get("location") || "").trim();
+
+    const to = parseTime(q.get("to")) ?? Date.now();
+    const from = parseTime(q.get("from")) ?? to - DEFAULT_RANGE_DAYS * DAY_MS;
+    if (Number.isNaN(from) || Number.isNaN(to)) {
+      return json({ ok: false, error: "from/to must be ISO timestamps or epoch ms" }, 400);
+    }
+    if (from >= to) return json({ ok: false, error: "from must be before to" }, 400);
+    if (to - from > MAX_RANGE_DAYS * DAY_MS) {
+      return json({ ok: false, error: `Range is limited to ${MAX_RANGE_DAYS} days` }, 400);
+    }
+
+    const withTransitions = q.get("transitions") === "1" && !!location;
+
+    let names = [location];
+    if (!location) {
+      const [summaries, archived] = await Promise.all([
+        listLocationSummaries(store, account),
+        listArchivedLocations(store, account),
+      ]);
+      const skip = new Set(archived.map((a) => a.location));
+      names = summaries.map((s) => String(s.location || "")).filter((l) => l && !skip.has(l));
+    }
+
+    const meta = new Map((await listLocationMeta(store, account)).map((m) => [m.location, m]));
+
+    const locations = await mapLimit(names, 6, async (loc) => {
+      const log = await readTransitions(store, { account, location: loc, fromMs: from, toMs: to });
+      return {
+        location: loc,
+        display_name: meta.get(loc)?.display_name || "",
+        ...integrityStats(log, { fromMs: from, toMs: to }),
+        ...(withTransitions ? { state_at_start: log.initial, transitions: log.transitions } : {}),
+      };
+    });
+
+    // Fleet numbers: MTTR weighted by recoveries, not averaged per location
+    let recoveredMs = 0;
+    const totals = { incidents: 0, recovered: 0, mttr_ms: null, longest_outage_ms: 0 };
+    for (const l of locations) {
+      totals.incidents += l.incidents;
+      totals.recovered += l.recovered;
+      recoveredMs += (l.mttr_ms || 0) * l.recovered;
+      totals.longest_outage_ms = Math.max(totals.longest_outage_ms, l.longest_outage_ms);
+    }
+    if (totals.recovered) totals.mttr_ms = Math.round(recoveredMs / totals.recovered);
+
+    return json({
+      ok: true,
+      account,
+      from: new Date(from).toISOString(),
+      to: new Date(to).toISOString(),
+      locations,
+      totals,
+    });
+  } catch (e) {
+    return json(
+      { ok: false, error: e?.message || "Unknown error", where: "acx-matrix-mttr" },
+      500
+    );
+  }
+};
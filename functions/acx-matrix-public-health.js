@@ -1,5 +1,10 @@
 // functions/acx-matrix-public-health.js
 // Sentinel-safe health check (NO metrics exposed)
+// Auth: any valid key, no scope needed since nothing is exposed
+// (_lib/api-keys.js); the old ACX_WEBHOOK_SECRET header still works while
+// that key is flagged legacy
+
+import { authorize } from "./_lib/api-keys.js";
 
 const json = (obj, status = 200) =>
   new Response(JSON.stringify(obj), {
@@ -7,17 +12,12 @@ const json = (obj, status = 200) =>
     headers: { "Content-Type": "application/json", "Cache-Control": "no-store" },
   });
 
-function authOk(req) {
-  const expected = (process.env.ACX_WEBHOOK_SECRET || "").trim();
-  const got = (req.headers.get("x-acx-secret") || "").trim();
-  return !!expected && got === expected;
-}
-
 export default async (req) => {
   if (req.method !== "GET") return json({ ok:false }, 405);
 
-  // 🔐 secret header only
-  if (!authOk(req)) return json({ ok:false }, 401);
+  // 🔐 key only (no session)
+  const auth = await authorize(req, null);
+  if (!auth.ok) return json({ ok:false }, auth.status);
 
   return json({ ok:true });
 };
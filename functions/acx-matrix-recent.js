@@ -1,8 +1,15 @@
 // netlify/functions/acx-matrix-recent.js
 // Returns recent ACX Matrix ingests (same source of truth as acx-matrix-webhook)
 // Output shape: { runs: [...] } for compatibility with current console UI
+// Auth: none (unchanged; existing console consumers read it unauthenticated)
+// Event blobs are read through one bounded, memoized reader (_lib/blob-reader.js);
+// `meta.timing` reports the phases and store read stats.
 
-import { getStore } from "@netlify/blobs";
+import { getMatrixStore, readRecentEvents } from "./_lib/matrix-store.js";
+import { loadMetricRegistry } from "./_lib/metrics.js";
+import { createBlobReader, createTimer } from "./_lib/blob-reader.js";
+
+const READ_CONCURRENCY = 16;
 
 const json = (obj, status = 200) =>
   new Response(JSON.stringify(obj), {
@@ -24,23 +31,6 @@ function normalizeIndex(raw) {
   return [];
 }
 
-async function readJSON(store, key, fallback = null) {
-  try {
-    const v = await store.get(key, { type: "json" });
-    if (v === null || v === undefined) return fallback;
-    return v;
-  } catch {
-    try {
-      const s = await store.get(key);
-      if (s === null || s === undefined) return fallback;
-      if (typeof s === "string") return JSON.parse(s);
-      return s;
-    } catch {
-      return fallback;
-    }
-  }
-}
-
 const num = (v, d = 0) => {
   const n = Number(v);
   return Number.isFinite(n) ? n : d;
@@ -49,25 +39,37 @@ const num = (v, d = 0) => {
 export default async (req) => {
   if (req.method !== "GET") return json({ ok: false, error: "Method Not Allowed" }, 405);
 
+  const store = getMatrixStore();
+
   const url = new URL(req.url);
   const limitParam = url.searchParams.get("limit");
   const limit = Math.min(Number(limitParam || 50), 200);
 
-  const storeName = process.env.ACX_BLOBS_STORE || "acx-matrix";
-  const store = getStore({ name: storeName });
+  const timer = createTimer();
+  const reader = createBlobReader(store, { concurrency: READ_CONCURRENCY });
+
+  const customMetrics = (await timer.time("registry", () => loadMetricRegistry(store))).filter(
+    (m) => !m.builtin
+  );
 
-  // NEW schema index
-  let keys = normalizeIndex(await readJSON(store, "index:global", null));
+  // NEW schema index (append-only day shards + legacy index:global),
+  // topped up from compacted archive days
+  let { events } = await timer.time("events", () =>
+    readRecentEvents(store, { limit, concurrency: READ_CONCURRENCY }, reader.get)
+  );
 
   // fallback OLD schema index
-  if (!keys.length) {
-    keys = normalizeIndex(await readJSON(store, "index:events", null));
+  if (!events.length) {
+    events = await timer.time("legacy", async () => {
+      const keys = normalizeIndex(await reader.get("index:events")).slice(0, limit);
+      const rows = await reader.getMany(keys);
+      return keys.map((key, i) => ({ key, ev: rows[i] }));
+    });
   }
 
   // Pull newest first
   const runs = [];
-  for (const k of keys.slice(0, limit)) {
-    const ev = await readJSON(store, k, null);
+  for (const { key: k, ev } of events) {
     if (!ev) continue;
 
     const integrity = String(ev.integrity || ev.acx_integrity || "unknown").toLowerCase();
@@ -89,13 +91,15 @@ export default async (req) => {
         conversion: num(ev.conversion, 0),
         response_ms: num(ev.response_ms, 0),
         quotes_recovered: num(ev.quotes_recovered, 0),
+        ...Object.fromEntries(customMetrics.map((m) => [m.name, num(ev[m.name], 0)])),
       },
 
       // optional passthrough
       source: String(ev.source || ""),
+      key_id: String(ev.key_id || ""),
       key: String(k),
     });
   }
 
-  return json({ runs }, 200);
+  return json({ runs, meta: { timing: { ...timer.done(), store: reader.stats() } } }, 200);
 };
@@ -0,0 +1,27 @@
+// functions/acx-matrix-rollup.js
+// ACX Matrix hourly/daily rollups (scheduled, see netlify.toml)
+// - Rebuilds every hour since the last run (capped at 48h) for every indexed
+//   location, then the day buckets those hours belong to (_lib/rollups.js)
+// - Folds the rebuilt hours into each location's anomaly baseline
+//   (_lib/baselines.js)
+// - Read back via acx-matrix-summary?resolution=hour|day
+
+import { getMatrixStore } from "./_lib/matrix-store.js";
+import { buildRollups } from "./_lib/rollups.js";
+
+const json = (obj, status = 200) =>
+  new Response(JSON.stringify(obj), {
+    status,
+    headers: { "Content-Type": "application/json", "Cache-Control": "no-store" },
+  });
+
+export default async () => {
+  try {
+    const result = await buildRollups(getMatrixStore());
+    console.log("MATRIX_ROLLUP", result);
+    return json({ ok: true, ...result });
+  } catch (e) {
+    console.error("MATRIX_ROLLUP_FAILED", { error: e?.message || String(e) });
+    return json({ ok: false, error: e?.message || "Unknown error" }, 500);
+  }
+};
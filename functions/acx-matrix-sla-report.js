@@ -0,0 +1,81 @@
+// functions/acx-matrix-sla-report.js
+// Monthly SLA statement per location (see _lib/sla-report.js)
+//
+// GET ?account=ACX&month=YYYY-MM&format=json|csv|html
+//   month   UTC calendar month (default: last month; the current month is
+//           reported up to now and flagged partial)
+//   format  json (default), csv (download), html (printable statement)
+//
+// Auth: dashboard session cookie OR a key with matrix:read (_lib/api-keys.js)
+
+import { authorize } from "./_lib/api-keys.js";
+import { getMatrixStore } from "./_lib/matrix-store.js";
+import { buildSlaReport, slaReportCsv, slaReportHtml, parseReportMonth } from "./_lib/sla-report.js";
+
+const json = (obj, status = 200) =>
+  new Response(JSON.stringify(obj), {
+    status,
+    headers: { "Content-Type": "application/json", "Cache-Control": "no-store" },
+  });
+
+const FORMATS = ["json", "csv", "html"];
+
+const fileSafe = (s) => String(s || "").replace(/[^A-Za-z0-9_-]+/g, "_");
+
+export default async (req) => {
+  try {
+    if (req.method !== "GET") return json({ ok: false, error: "Method Not Allowed" }, 405);
+
+    const store = getMatrixStore();
+
+    const auth = await authorize(req, "matrix:read", { store, session: true });
+    if (!auth.ok) {
+      return json(
+        { ok: false, error: "Unauthorized", reason: auth.reason, scope: auth.scope },
+        auth.status
+      );
+    }
+
+    const url = new URL(req.url);
+    const q = url.searchParams;
+
+    const account = String(q.get("account") || "ACX").trim() || "ACX";
+    const format = String(q.get("format") || "json").toLowerCase();
+    if (!FORMATS.includes(format)) {
+      return json({ ok: false, error: `format must be one of ${FORMATS.join(", ")}` }, 400);
+    }
+
+    const range = parseReportMonth(q.get("month"));
+    if (!range) return json({ ok: false, error: "month must be YYYY-MM and not in the future" }, 400);
+
+    const report = await buildSlaReport(store, { account, ...range });
+
+    if (format === "csv") {
+      return new Response(slaReportCsv(report), {
+        status: 200,
+        headers: {
+          "Content-Type": "text/csv; charset=utf-8",
+          "Content-Disposition": `attachment; filename="acx-sla-${fileSafe(account)}-${report.month}.csv"`,
+          "Cache-Control": "no-store",
+        },
+      });
+    }
+
+    if (format === "html") {
+      const csvUrl = new URL(url);
+      csvUrl.searchParams.set("format", "csv");
+      csvUrl.searchParams.set("month", report.month);
+      return new Response(slaReportHtml(report, { csvUrl: csvUrl.pathname + csvUrl.search }), {
+        status: 200,
+        headers: { "Content-Type": "text/html; charset=utf-8", "Cache-Control": "no-store" },
+      });
+    }
+
+    return json({ ok: true, ...report });
+  } catch (e) {
+    return json(
+      { ok: false, error: e?.message || "Unknown error", where: "acx-matrix-sla-report" },
+      500
+    );
+  }
+};
@@ -0,0 +1,27 @@
+// functions/acx-matrix-snapshot.js
+// ACX Matrix summary snapshot (scheduled every minute, see netlify.toml)
+// - Rebuilds snapshot/events (newest event rows) and snapshot/loc/<account>
+//   (folded location summaries) from the index and patch heads, re-reading
+//   only what changed since the last run (_lib/summary-snapshot.js)
+// - The only writer: ingest and acx-matrix-summary never write the snapshot
+// - Read back via acx-matrix-summary (meta.snapshot reports hits / fetches)
+
+import { getMatrixStore } from "./_lib/matrix-store.js";
+import { refreshSummarySnapshot } from "./_lib/summary-snapshot.js";
+
+const json = (obj, status = 200) =>
+  new Response(JSON.stringify(obj), {
+    status,
+    headers: { "Content-Type": "application/json", "Cache-Control": "no-store" },
+  });
+
+export default async () => {
+  try {
+    const result = await refreshSummarySnapshot(getMatrixStore());
+    if (result.events_fetched || result.locations_refreshed) console.log("MATRIX_SNAPSHOT", result);
+    return json({ ok: true, ...result });
+  } catch (e) {
+    console.error("MATRIX_SNAPSHOT_FAILED", { error: e?.message || String(e) });
+    return json({ ok: false, error: e?.message || "Unknown error" }, 500);
+  }
+};
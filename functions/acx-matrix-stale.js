@@ -0,0 +1,25 @@
+// functions/acx-matrix-stale.js
+// ACX Matrix stale-location sweep (scheduled, see netlify.toml)
+// - Compares each live location's last_seen with its expected interval,
+//   flags / clears `stale` in the summary and emits location_stale /
+//   location_recovered events (_lib/staleness.js)
+
+import { getMatrixStore } from "./_lib/matrix-store.js";
+import { detectStaleLocations } from "./_lib/staleness.js";
+
+const json = (obj, status = 200) =>
+  new Response(JSON.stringify(obj), {
+    status,
+    headers: { "Content-Type": "application/json", "Cache-Control": "no-store" },
+  });
+
+export default async () => {
+  try {
+    const result = await detectStaleLocations(getMatrixStore());
+    console.log("MATRIX_STALE", { checked: result.checked, stale: result.stale, changes: result.changes.length });
+    return json({ ok: true, ...result });
+  } catch (e) {
+    console.error("MATRIX_STALE_FAILED", { error: e?.message || String(e) });
+    return json({ ok: false, error: e?.message || "Unknown error" }, 500);
+  }
+};
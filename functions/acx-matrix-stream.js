@@ -0,0 +1,215 @@
+// functions/acx-matrix-stream.js
+// Live ACX Matrix updates as Server-Sent Events (used by public/matrix.html)
+// - GET ?account=<name>|*&since=<event key>
+//   event: matrix.hello     { cursor, account, until }     (first message)
+//   event: matrix.event     { key, …event row, recent }
+//          recent = the row belongs in the summary's metrics-only recent table
+//   event: matrix.location  tile, same shape as acx-matrix-summary `locations`
+//   event: matrix.resync    { cursor }   more changed than one poll sends:
+//                                         reload the summary, then reconnect
+//
+// Resume: every message carries `id: <event key>|<patch ms>`, the newest
+// event and the newest summary patch sent so far. EventSource sends it back
+// as Last-Event-ID when it reconnects (?since=<event key> does the same for
+// the first connection, from the summary's meta.cursor). Events after it are
+// replayed from the index, and tiles whose newest summary patch
+// (listLocationPatchHeads) is newer are re-sent, so a gap between
+// connections loses nothing.
+//
+// A connection lasts ACX_STREAM_SECONDS (default 9, under the default
+// function timeout; at most 25), then closes; the browser reconnects after
+// `retry`. Changes are polled from the store every POLL_MS meanwhile.
+// Auth: dashboard session cookie, or a key with matrix:read
+
+import {
+  getMatrixStore,
+  listAccounts,
+  listRecentEventKeys,
+  listLocationPatchHeads,
+  readLocationSummary,
+  eventKeyMs,
+} from "./_lib/matrix-store.js";
+import { authorize } from "./_lib/api-keys.js";
+import { loadMetricRegistry } from "./_lib/metrics.js";
+import { readLocationMeta, readLocationState } from "./_lib/locations.js";
+import { createBlobReader } from "./_lib/blob-reader.js";
+import { locationTile } from "./_lib/summary-snapshot.js";
+
+const json = (obj, status = 200) =>
+  new Response(JSON.stringify(obj), {
+    status,
+    headers: { "Content-Type": "application/json", "Cache-Control": "no-store" },
+  });
+
+const POLL_MS = 1500;
+const RETRY_MS = 1000;
+const MAX_EVENTS_PER_POLL = 100;
+const KEEPALIVE_MS = 15000;
+
+const sleep = (ms) => new Promise((r) => setTimeout(r, ms));
+
+function streamSeconds() {
+  const n = Number(process.env.ACX_STREAM_SECONDS);
+  return Number.isFinite(n) && n > 0 ? Math.min(n, 25) : 9;
+}
+
+// Event keys sort chronologically (13-digit ms); the greatest one is the cursor
+const newestKey = (keys, floor = "") =>
+  keys.reduce((max, k) => (eventKeyMs(k) !== null && k > max ? k : max), floor);
+
+const patchMs = (id) => Number(String(id || "").split(":")[0]) || 0;
+
+// EMPIRE: missing metrics stay null; `recent` mirrors the summary's
+// metrics-only, no-workflow-rows rule
+function eventRow(key, ev, registry) {
+  const metrics = Object.fromEntries(
+    registry.map((m) => {
+      const v = ev[m.name];
+      const n = v === null || v === undefined || v === "" ? null : Number(v);
+      return [m.name, Number.isFinite(n) ? n : null];
+    })
+  );
+  const workflow = !!(ev.event_name || ev.stage || ev.priority);
+  const integrity = ["ok", "degraded", "critical"].includes(String(ev.integrity)) ? ev.integrity : "unknown";
+
+  return {
+    key,
+    ...ev,
+    account: String(ev.account || "ACX"),
+    location: String(ev.location || ""),
+    ...metrics,
+    integrity,
+    acx_integrity: integrity,
+    recent: !workflow && Object.values(metrics).some((v) => v !== null),
+  };
+}
+
+export default async (req) => {
+  if (req.method !== "GET") return json({ ok: false, error: "Method Not Allowed" }, 405);
+
+  const auth = await authorize(req, "matrix:read", { session: true });
+  if (!auth.ok) {
+    return json({ ok: false, error: "Unauthorized", reason: auth.reason, scope: auth.scope }, auth.status);
+  }
+
+  const store = getMatrixStore();
+  const url = new URL(req.url);
+  const account = String(url.searchParams.get("account") || "ACX").trim() || "ACX";
+  const allAccounts = account === "*";
+
+  const [resumeFrom, resumeMark] = String(
+    req.headers.get("last-event-id") || url.searchParams.get("since") || ""
+  ).split("|");
+  const [registry, listed] = await Promise.all([
+    loadMetricRegistry(store),
+    listRecentEventKeys(store, { limit: 20 }),
+  ]);
+  const customMetrics = registry.filter((m) => !m.builtin);
+
+  // Without a resume point the stream starts at "now"
+  let cursor = eventKeyMs(resumeFrom) !== null ? resumeFrom : newestKey(listed.keys);
+  let patchMark = Number(resumeMark) || eventKeyMs(cursor) || Date.now();
+  const lastId = () => `${cursor}|${patchMark}`;
+
+  const until = Date.now() + streamSeconds() * 1000;
+  const reader = createBlobReader(store, { concurrency: 8 });
+  const heads = new Map(); // account -> { location: patch id }
+  let closed = false;
+
+  const pollEvents = async (send) => {
+    const { keys } = await listRecentEventKeys(store, { limit: MAX_EVENTS_PER_POLL });
+    const newer = keys.filter((k) => eventKeyMs(k) !== null && k > cursor).sort();
+    if (!newer.length) return;
+
+    // The whole listing is newer: the gap is bigger than one poll
+    if (newer.length >= MAX_EVENTS_PER_POLL) {
+      cursor = newestKey(newer, cursor);
+      send("matrix.resync", { cursor });
+      return;
+    }
+
+    const rows = await reader.getMany(newer);
+    newer.forEach((key, i) => {
+      const ev = rows[i];
+      cursor = key > cursor ? key : cursor;
+      if (!ev || typeof ev !== "object") return;
+      if (!allAccounts && String(ev.account || "ACX") !== account) return;
+      send("matrix.event", eventRow(key, ev, registry));
+    });
+  };
+
+  const pollLocations = async (send, accounts) => {
+    for (const acct of accounts) {
+      const now = await listLocationPatchHeads(store, acct);
+      const before = heads.get(acct);
+      heads.set(acct, now);
+
+      const changed = Object.entries(now).filter(([loc, head]) =>
+        before ? before[loc] !== head : patchMs(head) > patchMark
+      );
+
+      for (const [location, head] of changed) {
+        patchMark = Math.max(patchMark, patchMs(head));
+        const [summary, meta, state] = await Promise.all([
+          readLocationSummary(store, acct, location),
+          readLocationMeta(store, acct, location),
+          readLocationState(store, acct, location),
+        ]);
+        send(
+          "matrix.location",
+          locationTile({ ...summary, account: acct, location }, {
+            meta,
+            archived: state.status === "archived",
+            customMetrics,
+          })
+        );
+      }
+    }
+  };
+
+  const encoder = new TextEncoder();
+  const body = new ReadableStream({
+    async start(controller) {
+      let lastWrite = Date.now();
+      const write = (text) => {
+        if (closed) return;
+        controller.enqueue(encoder.encode(text));
+        lastWrite = Date.now();
+      };
+      const send = (event, data) => write(`id: ${lastId()}\nevent: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+
+      write(`retry: ${RETRY_MS}\n\n`);
+      send("matrix.hello", { cursor, account, until: new Date(until).toISOString() });
+
+      try {
+        const accounts = allAccounts ? (await listAccounts(store)).map((a) => a.account) : [account];
+        while (!closed && Date.now() < until) {
+          await pollEvents(send);
+          await pollLocations(send, accounts);
+          if (Date.now() - lastWrite >= KEEPALIVE_MS) write(": keep-alive\n\n");
+          await sleep(Math.max(0, Math.min(POLL_MS, until - Date.now())));
+        }
+      } catch (e) {
+        console.error("MATRIX_STREAM_FAILED", { account, error: e?.message || String(e) });
+      }
+
+      if (!closed) {
+        closed = true;
+        controller.close();
+      }
+    },
+    cancel() {
+      closed = true;
+    },
+  });
+
+  return new Response(body, {
+    status: 200,
+    headers: {
+      "Content-Type": "text/event-stream; charset=utf-8",
+      "Cache-Control": "no-cache, no-transform",
+      Connection: "keep-alive",
+      "X-Accel-Buffering": "no",
+    },
+  });
+};
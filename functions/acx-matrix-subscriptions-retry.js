@@ -0,0 +1,34 @@
+// functions/acx-matrix-subscriptions-retry.js
+// ACX Matrix outbound delivery (scheduled every minute, see netlify.toml)
+// - Makes every subscription delivery: new ones (queued by publishMatrixEvent)
+//   and pending ones whose backoff has elapsed (1m, 2m, 4m … 6h); after
+//   DELIVERY_MAX_ATTEMPTS a delivery is marked dead (manual redeliver only)
+// - Prunes old delivery log entries (_lib/subscriptions.js)
+// - Sends chat notifications queued by ingest (_lib/channels.js)
+// - Inspect / redeliver by hand: acx-matrix-subscriptions?id=<sub>
+
+import { getMatrixStore } from "./_lib/matrix-store.js";
+import { retryDueDeliveries } from "./_lib/subscriptions.js";
+import { sendQueuedNotifications } from "./_lib/channels.js";
+
+const json = (obj, status = 200) =>
+  new Response(JSON.stringify(obj), {
+    status,
+    headers: { "Content-Type": "application/json", "Cache-Control": "no-store" },
+  });
+
+export default async () => {
+  try {
+    const store = getMatrixStore();
+    const result = await retryDueDeliveries(store);
+    if (result.due || result.pruned) console.log("MATRIX_SUBS_RETRY", result);
+
+    const channels = await sendQueuedNotifications(store);
+    if (channels.due) console.log("MATRIX_CHANNELS_SENT", channels);
+
+    return json({ ok: true, ...result, channels });
+  } catch (e) {
+    console.error("MATRIX_SUBS_RETRY_FAILED", { error: e?.message || String(e) });
+    return json({ ok: false, error: e?.message || "Unknown error" }, 500);
+  }
+};
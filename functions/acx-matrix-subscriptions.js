@@ -0,0 +1,105 @@
+// functions/acx-matrix-subscriptions.js
+// ACX Matrix outbound webhook subscriptions admin (see _lib/subscriptions.js)
+// - GET                                   -> { ok, subscriptions, event_types }
+// - GET    ?id=<sub>&limit=50             -> { ok, subscription, deliveries }
+// - POST   { id?, url, secret?, events: [...], account, description, enabled }
+//          -> create / replace; the secret is returned on create only
+//             (generated when not given; left as is on update when omitted)
+// - POST   { action: "redeliver", id, delivery } -> one attempt now
+// - DELETE ?id=<sub>                      -> remove it and its delivery log
+//
+// Auth: dashboard session cookie OR a key with the admin scope
+
+import { getMatrixStore } from "./_lib/matrix-store.js";
+import { authorize, actingKeyId } from "./_lib/api-keys.js";
+import {
+  EVENT_TYPES,
+  DELIVERY_MAX_ATTEMPTS,
+  listSubscriptions,
+  readSubscription,
+  saveSubscription,
+  deleteSubscription,
+  publicSubscription,
+  listDeliveries,
+  redeliver,
+} from "./_lib/subscriptions.js";
+
+const json = (obj, status = 200) =>
+  new Response(JSON.stringify(obj), {
+    status,
+    headers: { "Content-Type": "application/json", "Cache-Control": "no-store" },
+  });
+
+export default async (req) => {
+  try {
+    const store = getMatrixStore();
+
+    const raw = req.method === "GET" || req.method === "DELETE" ? "" : await req.text().catch(() => "");
+
+    const auth = await authorize(req, "admin", { raw, store, session: true });
+    if (!auth.ok) {
+      return json({ ok: false, error: "Unauthorized", reason: auth.reason, scope: auth.scope }, auth.status);
+    }
+
+    const q = new URL(req.url).searchParams;
+    const id = String(q.get("id") || "").trim();
+
+    if (req.method === "GET") {
+      if (id) {
+        const sub = await readSubscription(store, id);
+        if (!sub) return json({ ok: false, error: "Unknown subscription" }, 404);
+
+        const limit = Math.min(500, Math.max(1, Number(q.get("limit") || 50) || 50));
+        return json({
+          ok: true,
+          subscription: publicSubscription(sub),
+          deliveries: await listDeliveries(store, id, { limit }),
+          max_attempts: DELIVERY_MAX_ATTEMPTS,
+        });
+      }
+
+      const subs = await listSubscriptions(store, { fresh: true });
+      return json({ ok: true, subscriptions: subs.map(publicSubscription), event_types: EVENT_TYPES });
+    }
+
+    if (req.method === "POST" || req.method === "PUT") {
+      let body = {};
+      try {
+        body = JSON.parse(raw);
+      } catch {
+        return json({ ok: false, error: "Invalid JSON body" }, 400);
+      }
+
+      if (body.action === "redeliver") {
+        const res = await redeliver(store, body.id, body.delivery);
+        if (!res.ok) return json({ ok: false, error: res.error }, 404);
+        return json(res);
+      }
+      if (body.action) return json({ ok: false, error: "action must be redeliver" }, 400);
+
+      const saved = await saveSubscription(store, body, { updatedBy: actingKeyId(req, auth) });
+      if (!saved.ok) return json({ ok: false, error: saved.error }, 400);
+
+      if (saved.created) {
+        return json({ ok: true, subscription: publicSubscription(saved.sub), secret: saved.sub.secret }, 201);
+      }
+      return json({ ok: true, subscription: publicSubscription(saved.sub) });
+    }
+
+    if (req.method === "DELETE") {
+      if (!id) return json({ ok: false, error: "Missing id" }, 400);
+
+      const removed = await deleteSubscription(store, id);
+      if (!removed.ok) return json({ ok: false, error: removed.error }, 404);
+
+      return json(removed);
+    }
+
+    return json({ ok: false, error: "Method Not Allowed" }, 405);
+  } catch (e) {
+    return json(
+      { ok: false, error: e?.message || "Unknown error", where: "acx-matrix-subscriptions" },
+      500
+    );
+  }
+};
@@ -1,38 +1,80 @@
 // functions/acx-matrix-summary.js
-// ✅ Dual-auth (NO session.js changes):
-// - Browser dashboard still uses requireSession(cookie)
-// - CLI/automation can use x-acx-secret header (same as webhook)
+// ACX Matrix dashboard read model: location tiles, recent rows, series, anomalies
+// Auth: dashboard session cookie OR a key with matrix:read (_lib/api-keys.js)
 //
-// ✅ Fixes (LOCKED):
-// - Integrity enum ONLY: ok | degraded | critical | unknown (no "optimal")
-// - Locations tiles are read from webhook-maintained summaries (NOT inferred from recent events)
-// - Recent table is METRICS ONLY (prevents WF webhooks with zeros from polluting)
-// - Location normalized so you never get "[object Object]"
-// - Supports metrics in top-level OR inside data:{...}
+// GET ?account=ACX|*               (default ACX; * merges every account and keys
+//                                   series "<account>/<location>", meta.series_by)
+//     &limit=50                    recent rows, 1..500
+//     &resolution=raw|hour|day     hour/day series come from _lib/rollups.js
+//     &points=48                   buckets per location (default 48h / 30d)
+//     &since=<event key>           meta.cursor of an earlier response: only
+//                                  newer recent rows / raw points (400 if not
+//                                  an event key); tiles, rollups and anomalies
+//                                  are always complete
+//     &include_archived=1          archived locations, flagged archived: true
 //
-// ✅ EMPIRE PATCH (2026-02-25):
-// - NO silent default-to-zero in recent/series: missing metrics remain null
-// - Any present metric counts as a metrics row (including 0)
+// LOCKED: integrity is ok | degraded | critical | unknown; tiles are the
+// webhook-maintained summaries (locationTile in _lib/summary-snapshot.js),
+// never inferred from events; recent rows are metrics-only (top-level or
+// data:{...} fields).
+// EMPIRE: missing metrics stay null in rows and series (no silent zeros).
 //
-// Note: This file still uses @netlify/blobs via getStore; it also includes an HTTP fallback.
-// We are not redesigning that here.
-
-import { requireSession } from "./_lib/session.js";
-import { getStore } from "@netlify/blobs";
-
-const json = (obj, status = 200) =>
+// Conditional GET: a weak ETag over everything the response is built from
+// (index keys, location patch heads, registry, rollup cursor, query, a 5-min
+// window); a matching If-None-Match gets 304 before any event is read.
+// Event rows and location summaries come from the materialized snapshot
+// (built by the scheduled acx-matrix-snapshot; a GET never writes) when it
+// is current; event blobs are read through _lib/blob-reader.js with
+// the Blobs HTTP API on this deploy (_lib/config.js) as the SDK fallback.
+//
+// meta: cursor, scanned_index_keys (index keys read, not the index size; also
+// sent as index_count for existing consumers), snapshot hit stats, timing per
+// phase (also the Server-Timing header), build.
+
+import { authorize } from "./_lib/api-keys.js";
+import {
+  getMatrixStore,
+  matrixStoreName,
+  listAccounts,
+  listRecentEventKeys,
+  readRecentEvents,
+  readJSON,
+  mapLimit,
+  eventKeyMs,
+} from "./_lib/matrix-store.js";
+import { loadMetricRegistry } from "./_lib/metrics.js";
+import { listLocationMeta, listArchivedLocations } from "./_lib/locations.js";
+import { readRollupSeries, RESOLUTIONS } from "./_lib/rollups.js";
+import { listAnomalies } from "./_lib/baselines.js";
+import { createBlobReader, createTimer } from "./_lib/blob-reader.js";
+import {
+  eventSnapshotReader,
+  readSnapshotLocations,
+  locationTile,
+  summaryEtag,
+  etagMatches,
+} from "./_lib/summary-snapshot.js";
+import { blobsBaseUrl } from "./_lib/config.js";
+
+const ANOMALY_WINDOW_HOURS = 24;
+const ANOMALY_ITEMS = 50;
+
+const json = (obj, status = 200, headers = {}) =>
   new Response(JSON.stringify(obj), {
     status,
-    headers: { "Content-Type": "application/json", "Cache-Control": "no-store" },
+    headers: { "Content-Type": "application/json", "Cache-Control": "no-store", ...headers },
   });
 
-// --------------- Blobs HTTP fallback ---------------
-function getBlobsBase(storeName) {
-  return `https://console.automatedclarity.com/.netlify/blobs/${encodeURIComponent(
-    storeName
-  )}/`;
-}
+const BUILD = "summary_config_v13";
 
+// Browsers may keep the body but must revalidate it (ETag) on every poll
+const REVALIDATE = "private, no-cache";
+// Tiles age (anomaly window, stale thresholds) without any write
+const ETAG_WINDOW_MS = 5 * 60 * 1000;
+// Event blob reads in flight per request
+const READ_CONCURRENCY = 16;
+
+// --------------- Blobs HTTP fallback ---------------
 function blobsHeaders() {
   const h = {};
   if (process.env.NETLIFY_SITE_ID) h["x-nf-site-id"] = process.env.NETLIFY_SITE_ID;
@@ -49,45 +91,27 @@ function blobsHeaders() {
   return h;
 }
 
-async function storeGetJSON(base, key, store) {
-  // Prefer SDK first
-  try {
-    if (store) {
-      const v = await store.get(key, { type: "json" });
-      if (v !== null && v !== undefined) return v;
-    }
-  } catch {
-    // fall through to HTTP
-  }
-
-  // HTTP fallback
+// Raw text of one blob over HTTP; the blob reader (_lib/blob-reader.js)
+// only calls this once the SDK has failed, and parses the JSON itself
+async function blobsHttpGet(base, key) {
+  if (!base) return null;
   try {
     const url = base + encodeURIComponent(key);
     const r = await fetch(url, { method: "GET", headers: blobsHeaders() });
     if (!r.ok) return null;
-
-    const text = await r.text();
-    if (!text) return null;
-
-    try {
-      return JSON.parse(text);
-    } catch {
-      return null;
-    }
+    return (await r.text()) || null;
   } catch {
     return null;
   }
 }
 
-// ---------------- helpers ----------------
-function normalizeIndex(raw) {
-  if (!raw) return [];
-  if (Array.isArray(raw)) return raw.map(String).filter(Boolean);
-  if (typeof raw === "object" && Array.isArray(raw.keys))
-    return raw.keys.map(String).filter(Boolean);
-  return [];
-}
+// "phase;dur=12, …" so timings show up in the browser devtools too
+const serverTiming = (timing) =>
+  Object.entries({ ...timing.phases, total: timing.total_ms })
+    .map(([k, v]) => `${k};dur=${v}`)
+    .join(", ");
 
+// ---------------- helpers ----------------
 function toNum(x, fallback = null) {
   // EMPIRE: preserve null/undefined/blank as "missing" (do NOT coerce to 0)
   if (x === null || x === undefined) return fallback;
@@ -151,12 +175,11 @@ function getMetric(ev, key) {
 }
 
 // EMPIRE: any present metric counts (including 0); missing is null
-function hasMetrics(ev) {
-  const u = getMetric(ev, "uptime");
-  const c = getMetric(ev, "conversion");
-  const r = getMetric(ev, "response_ms");
-  const q = getMetric(ev, "quotes_recovered");
-  return [u, c, r, q].some((n) => n !== null && Number.isFinite(n));
+function hasMetrics(ev, registry) {
+  return registry.some((m) => {
+    const n = getMetric(ev, m.name);
+    return n !== null && Number.isFinite(n);
+  });
 }
 
 function isWorkflowEvent(ev) {
@@ -170,61 +193,15 @@ function isWorkflowEvent(ev) {
   );
 }
 
-function dedupeKeepOrder(arr) {
-  const seen = new Set();
-  const out = [];
-  for (const k of arr) {
-    const s = String(k || "").trim();
-    if (!s) continue;
-    if (seen.has(s)) continue;
-    seen.add(s);
-    out.push(s);
-  }
-  return out;
-}
-
-function sortEventKeysAscending(keys) {
-  const parse = (k) => {
-    const m = /^event:(\d+):/.exec(k);
-    return m ? Number(m[1]) : null;
-  };
-  return keys.slice().sort((a, b) => {
-    const ta = parse(a);
-    const tb = parse(b);
-    if (ta == null && tb == null) return 0;
-    if (ta == null) return -1;
-    if (tb == null) return 1;
-    return ta - tb;
-  });
-}
-
-// ---------------- AUTH (cookie session OR x-acx-secret) ----------------
-function header(req, name) {
-  try {
-    return req.headers.get(name);
-  } catch {
-    return null;
-  }
-}
-
-function secretAllowed(req) {
-  const got = header(req, "x-acx-secret");
-  const expected = process.env.ACX_SECRET;
-  return !!got && !!expected && String(got) === String(expected);
-}
-
+// ---------------- AUTH (cookie session OR matrix:read key) ----------------
 async function enforceAuth(req) {
-  try {
-    const maybe = await requireSession(req);
-    if (maybe instanceof Response) return maybe;
-    return null;
-  } catch {
-    // fall through
-  }
+  const auth = await authorize(req, "matrix:read", { session: true });
+  if (auth.ok) return null;
 
-  if (secretAllowed(req)) return null;
-
-  return json({ ok: false, error: "Unauthorized" }, 401);
+  return json(
+    { ok: false, error: "Unauthorized", reason: auth.reason, scope: auth.scope },
+    auth.status
+  );
 }
 
 // ---------------- main ----------------
@@ -236,92 +213,230 @@ export default async (req) => {
     const deny = await enforceAuth(req);
     if (deny) return deny;
 
-    const url = new URL(req.url, "https://console.automatedclarity.com");
+    const url = new URL(req.url);
+    // Non-numeric values fall back to the default (never NaN into the ETag)
     const limit = Math.max(
       1,
-      Math.min(500, Number(url.searchParams.get("limit") || 50))
+      Math.min(500, Math.floor(toNum(url.searchParams.get("limit"), 50)))
     );
 
-    const storeName = process.env.ACX_BLOBS_STORE || "acx-matrix";
-    const base = getBlobsBase(storeName);
-    const store = getStore({ name: storeName });
+    const storeName = matrixStoreName();
+    const base = blobsBaseUrl(storeName, { origin: url.origin });
+    const store = getMatrixStore();
+
+    // One memoized, bounded reader for every event blob of this request
+    const timer = createTimer();
+    const reader = createBlobReader(store, {
+      concurrency: READ_CONCURRENCY,
+      fallback: (k) => blobsHttpGet(base, k),
+    });
 
     const accountParam =
       String(url.searchParams.get("account") || "ACX").trim() || "ACX";
+    const allAccounts = accountParam === "*";
+    const seriesId = (account, location) =>
+      allAccounts ? `${account || "ACX"}/${location}` : location;
+
+    const resParam = String(url.searchParams.get("resolution") || "raw").toLowerCase();
+    const resolution = RESOLUTIONS.includes(resParam) ? resParam : "raw";
+    const points = Math.max(
+      1,
+      Math.min(366, Math.floor(toNum(url.searchParams.get("points"), resolution === "day" ? 30 : 48)))
+    );
+
+    const since = String(url.searchParams.get("since") || "").trim();
+    if (since && eventKeyMs(since) === null) {
+      return json({ ok: false, error: "since must be an event key (meta.cursor)" }, 400);
+    }
+
+    // Built-in + registered metrics (drives tiles, series keys, CSV columns)
+    const [registry, accounts] = await timer.time("registry", () =>
+      Promise.all([
+        loadMetricRegistry(store),
+        allAccounts ? listAccounts(store).then((rows) => rows.map((a) => a.account)) : [accountParam],
+      ])
+    );
+    const customMetrics = registry.filter((m) => !m.builtin);
 
     // ---------- LOCATIONS (SOURCE OF TRUTH) ----------
-    let locations =
-      (await storeGetJSON(base, `locations:${accountParam}`, store)) || [];
+    const includeArchived = url.searchParams.get("include_archived") === "1";
+
+    const [snapshots, metaRows, archivedRows, listed, rollupCursor] = await timer.time("index", () =>
+      Promise.all([
+        Promise.all(accounts.map((a) => readSnapshotLocations(store, a))),
+        listLocationMeta(store, allAccounts ? undefined : accountParam),
+        listArchivedLocations(store, allAccounts ? undefined : accountParam),
+        listRecentEventKeys(store, { limit }),
+        resolution === "raw" ? null : readJSON(store, "rollup/cursor", null),
+      ])
+    );
+
+    // ---------- CONDITIONAL GET ----------
+    const etag = summaryEtag({
+      build: BUILD,
+      query: [accountParam, limit, resolution, points, includeArchived, since],
+      events: listed.keys,
+      heads: accounts.map((a, i) => [a, snapshots[i].heads]),
+      meta: metaRows,
+      archived: archivedRows,
+      registry,
+      rollup: rollupCursor?.at || "",
+      window: Math.floor(Date.now() / ETAG_WINDOW_MS),
+    });
+    const cacheHeaders = { ETag: etag, "Cache-Control": REVALIDATE };
+    if (etagMatches(req, etag)) {
+      return new Response(null, {
+        status: 304,
+        headers: { ...cacheHeaders, "Server-Timing": serverTiming(timer.done()) },
+      });
+    }
+
+    let locations = snapshots.flatMap((x) => x.summaries);
     if (!Array.isArray(locations)) locations = [];
 
+    const metaFor = new Map(metaRows.map((m) => [`${m.account}\u0000${m.location}`, m]));
+    const archivedSet = new Set(archivedRows.map((a) => `${a.account}\u0000${a.location}`));
+
     locations = locations
       .filter((r) => r && r.location)
-      .map((r) => ({
-        location: String(r.location || ""),
-        account: String(r.account || accountParam),
-        last_seen: String(r.last_seen || ""),
-        uptime: Number(r.uptime || 0),
-        conversion: Number(r.conversion || 0),
-        response_ms: Number(r.response_ms || 0),
-        quotes_recovered: Number(r.quotes_recovered || 0),
-        integrity: normalizeIntegrity(r.integrity),
-      }));
+      .map((r) => {
+        const account = String(r.account || (allAccounts ? "ACX" : accountParam));
+        const location = String(r.location || "");
+        const meta = metaFor.get(`${account}\u0000${location}`);
+        const archived = archivedSet.has(`${account}\u0000${location}`);
+        if (archived && !includeArchived) return null;
+        return locationTile({ ...r, account, location }, { meta, archived, customMetrics });
+      })
+      .filter(Boolean);
 
     // ---------- EVENTS (RECENT TABLE + SERIES) ----------
-    const idxGlobalRaw = await storeGetJSON(base, "index:global", store);
-    const idxGlobal = normalizeIndex(idxGlobalRaw);
-
-    let keys = dedupeKeepOrder([...idxGlobal]);
-    keys = sortEventKeysAscending(keys);
-
-    const index_count = keys.length;
-    const tailKeys = keys.slice(Math.max(0, keys.length - limit)).reverse();
+    // Live shards first, then compacted archive days (_lib/compaction.js);
+    // live rows come from the snapshot, anything it lacks from the store
+    const snapshot = await eventSnapshotReader(store, reader.get);
+    const { events, scanned, archived } = await timer.time("events", async () => {
+      let out;
+      if (since) {
+        // event keys sort chronologically (13-digit ms), archived rows are all older
+        const newer = listed.keys.filter((k) => eventKeyMs(k) !== null && k > since);
+        const rows = await mapLimit(newer, READ_CONCURRENCY, async (key) => ({
+          key,
+          ev: await snapshot.readEvent(key),
+        }));
+        out = { events: rows.filter((r) => r.ev && typeof r.ev === "object"), scanned: listed.scanned, archived: 0 };
+      } else {
+        out = await readRecentEvents(
+          store,
+          { limit, listed, concurrency: READ_CONCURRENCY },
+          snapshot.readEvent
+        );
+      }
+      return out;
+    });
 
-    const allEvents = [];
-    for (const k of tailKeys) {
-      const ev = await storeGetJSON(base, k, store);
-      if (ev && typeof ev === "object") allEvents.push(ev);
-    }
+    const index_count = scanned;
+    // The global index spans every account
+    const allEvents = events.filter(
+      (r) => allAccounts || String(r.ev.account || "ACX") === accountParam
+    );
 
-    const normalizedAll = allEvents.map((e) => ({
+    const normalizedAll = allEvents.map(({ key, ev: e }) => ({
+      key,
       ...e,
       location: getLocationValue(e),
       integrity: getIntegrity(e),
       acx_integrity: getIntegrity(e),
-      uptime: getMetric(e, "uptime"),
-      conversion: getMetric(e, "conversion"),
-      response_ms: getMetric(e, "response_ms"),
-      quotes_recovered: getMetric(e, "quotes_recovered"),
+      ...Object.fromEntries(registry.map((m) => [m.name, getMetric(e, m.name)])),
     }));
 
     // Recent is metrics-only and excludes workflow telemetry rows
     const recent = normalizedAll.filter(
-      (e) => hasMetrics(e) && !isWorkflowEvent(e)
+      (e) => hasMetrics(e, registry) && !isWorkflowEvent(e)
     );
 
     // Series for charts (preserve nulls so UI can decide how to render)
     const series = {};
-    for (const ev of recent.slice().reverse()) {
-      const loc = getLocationValue(ev);
-      if (!loc) continue;
-      if (!series[loc]) series[loc] = [];
-      series[loc].push({
-        ts: ev.ts,
-        uptime: ev.uptime ?? null,
-        conv: ev.conversion ?? null,
-        resp: ev.response_ms ?? null,
-        quotes: ev.quotes_recovered ?? null,
-        integrity: getIntegrity(ev),
+    if (resolution === "raw") {
+      for (const ev of recent.slice().reverse()) {
+        const loc = getLocationValue(ev);
+        if (!loc) continue;
+        const id = seriesId(ev.account, loc);
+        if (!series[id]) series[id] = [];
+        // built-ins keep their short keys (uptime/conv/resp/quotes)
+        series[id].push({
+          ts: ev.ts,
+          ...Object.fromEntries(registry.map((m) => [m.series_key, ev[m.name] ?? null])),
+          integrity: getIntegrity(ev),
+          anomalies: Object.keys(ev.anomaly || {}),
+        });
+      }
+    } else {
+      // Same point shape from rollup buckets (+ count / stats / integrity_ms)
+      const perLoc = await timer.time("series", () =>
+        mapLimit(locations, 8, (l) =>
+          readRollupSeries(store, {
+            account: l.account,
+            location: l.location,
+            resolution,
+            points,
+            registry,
+          })
+        )
+      );
+      locations.forEach((l, i) => {
+        if (perLoc[i].length) series[seriesId(l.account, l.location)] = perLoc[i];
       });
     }
 
-    return json({
-      ok: true,
-      recent,
-      locations,
-      series,
-      meta: { store: storeName, index_count, build: "summary_empire_nulls_v1" },
-    });
+    // ---------- ANOMALIES (same tiles as above) ----------
+    const tileIds = new Set(locations.map((l) => `${l.account}\u0000${l.location}`));
+    const flagged = await timer.time("anomalies", () =>
+      listAnomalies(store, {
+        account: accountParam,
+        sinceMs: Date.now() - ANOMALY_WINDOW_HOURS * 60 * 60 * 1000,
+        limit: ANOMALY_ITEMS,
+      })
+    );
+    const onTile = (a) => tileIds.has(`${a.account}\u0000${a.location}`);
+    const byLocation = flagged.by_location.filter(onTile);
+
+    const anomalies = {
+      window_hours: ANOMALY_WINDOW_HOURS,
+      count: byLocation.reduce((n, a) => n + a.count, 0),
+      by_location: Object.fromEntries(byLocation.map((a) => [seriesId(a.account, a.location), a.count])),
+      items: flagged.items.filter(onTile).map((a) => ({ ...a, series_id: seriesId(a.account, a.location) })),
+    };
+
+    const timing = { ...timer.done(), store: reader.stats() };
+
+    return json(
+      {
+        ok: true,
+        recent,
+        locations,
+        series,
+        anomalies,
+        metrics: registry,
+        meta: {
+          store: storeName,
+          account: accountParam,
+          ...(allAccounts ? { accounts, series_by: "account/location" } : {}),
+          archived_locations: archivedRows.length,
+          index_count,
+          scanned_index_keys: scanned,
+          archived,
+          resolution,
+          ...(resolution === "raw" ? {} : { points }),
+          // greatest key, not keys[0]: events in the same ms are not ordered
+          cursor: listed.keys.reduce((max, k) => (eventKeyMs(k) !== null && k > max ? k : max), since),
+          ...(since ? { since } : {}),
+          snapshot: { ...snapshot.stats(), locations_refreshed: snapshots.reduce((n, x) => n + x.refreshed, 0) },
+          timing,
+          build: BUILD,
+        },
+      },
+      200,
+      { ...cacheHeaders, "Server-Timing": serverTiming(timing) }
+    );
   } catch (e) {
     return json(
       { ok: false, error: e?.message || "Unknown error", where: "acx-matrix-summary" },
@@ -17,8 +17,81 @@
 // 5) Key normalization:
 //    - Promotes GHL customData[foo] and body.customData.foo to top-level foo
 // 6) Location is keyed as `location` (matches summary/dashboard)
-
-import { getStore } from "@netlify/blobs";
+// 7) Append-only storage (see _lib/matrix-store.js):
+//    - No read-modify-write on shared index/summary keys, so concurrent
+//      ingests never drop index entries or clobber each other's summary
+// 8) Idempotent ingest:
+//    - A repeated (account, location, run_id, source) returns the original
+//      key with duplicate: true and writes nothing
+//    - Optional Idempotency-Key header replaces run_id as the identity
+// 9) Batch mode:
+//    - JSON array or NDJSON body; every item goes through the same
+//      normalization + write locks as a single POST
+//    - Per-item results (accepted | duplicate | rejected + reason)
+//    - Each location summary is patched once per batch
+// 10) Explain mode (?explain=1 or x-acx-explain: 1):
+//    - Dry run: returns the normalized event, the alias each field resolved
+//      from, the write locks and the resulting summary; persists nothing
+// 11) Metric registry (_lib/metrics.js):
+//    - Built-in metrics + any registered custom metric are parsed with the
+//      same null/lock rules; aliases come from the registry
+// 12) Signed requests (_lib/signature.js):
+//    - X-ACX-Signature (HMAC over timestamp + raw body) inside the tolerance
+//      window; a replayed signature is rejected
+//    - Plain x-acx-secret only for keys still flagged legacy
+// 13) Scoped keys (_lib/api-keys.js):
+//    - source "sentinel" needs integrity:write, every other source matrix:write
+//    - The acting key id is stored on each event row as key_id
+//      (forwarders pass their caller via x-acx-on-behalf-of)
+// 14) Integrity transitions (_lib/transitions.js):
+//    - A Sentinel write that changes the summary integrity appends a
+//      transition (from, to, at, source, run_id, event key)
+// 15) Alerts (_lib/alerts.js):
+//    - After each summary patch the location's alert rules are evaluated;
+//      an alert failure never fails the ingest
+// 16) Outbound subscriptions (_lib/subscriptions.js):
+//    - integrity.changed on a recorded transition, metric.ingested when the
+//      patch carries metrics; ingest only queues the delivery, which
+//      acx-matrix-subscriptions-retry makes (no receiver call on this path)
+// 17) Chat channels (_lib/channels.js):
+//    - matrix.integrity_changed for the account's Slack / Teams / JSON
+//      channels with the same transition; queued here, sent on the same
+//      schedule
+// 18) Anomalies (_lib/baselines.js):
+//    - Metric-writing events are scored against the location's rolling
+//      baseline; a deviating value sets ev.anomaly and is logged under
+//      anomaly/. The stored value itself is never changed
+// 19) Summary snapshot (_lib/summary-snapshot.js):
+//    - Ingest never writes it (that would be a shared read-modify-write
+//      again); the scheduled acx-matrix-snapshot picks stored rows up
+// 20) Stored means success:
+//    - Once the event row is written, a failing side effect (summary patch,
+//      transition, alerts, subscriptions, channels, anomaly log) is logged
+//      and listed in side_effects_failed; the response stays 200, since a
+//      retry would only come back as a duplicate
+
+import {
+  getMatrixStore,
+  matrixStoreName,
+  newEventKey,
+  appendEvent,
+  claimIdempotency,
+  releaseIdempotencyClaim,
+  findIdempotencyClaim,
+  applyLocationPatch,
+  previewLocationPatch,
+  readLocationSummary,
+  eventKeyMs,
+  mapLimit,
+} from "./_lib/matrix-store.js";
+import { recordIntegrityTransition } from "./_lib/transitions.js";
+import { evaluateLocationAlerts } from "./_lib/alerts.js";
+import { publishMatrixEvent } from "./_lib/subscriptions.js";
+import { queueChannelNotification } from "./_lib/channels.js";
+import { scoreEvent, recordAnomalies } from "./_lib/baselines.js";
+import { loadMetricRegistry, metricAliases } from "./_lib/metrics.js";
+import { authorize, hasScope, actingKeyId } from "./_lib/api-keys.js";
+import { isExplain } from "./_lib/explain.js";
 
 const json = (status, obj) =>
   new Response(JSON.stringify(obj), {
@@ -31,20 +104,17 @@ const json = (status, obj) =>
 
 const methodNotAllowed = () =>
   json(405, { ok: false, error: "Method Not Allowed" });
-const unauthorized = () => json(401, { ok: false, error: "Unauthorized" });
-
-const checkAuth = (req) => {
-  const expected = (process.env.ACX_SECRET || "").trim();
-  if (!expected) return false;
-
-  const got =
-    req.headers.get("x-acx-secret") ||
-    req.headers.get("X-ACX-SECRET") ||
-    req.headers.get("X-Acx-Secret") ||
-    "";
+const denied = (status, reason, scope) =>
+  json(status, {
+    ok: false,
+    error: status === 403 ? "Forbidden" : "Unauthorized",
+    reason,
+    ...(scope ? { scope } : {}),
+  });
 
-  return !!got && String(got).trim() === expected;
-};
+// Integrity rows are Sentinel's; everything else is a metric/event write
+const scopeForSource = (source) =>
+  source === "sentinel" ? "integrity:write" : "matrix:write";
 
 // ---------- helpers ----------
 const asString = (v) => {
@@ -96,6 +166,15 @@ const pick = (obj, keys) => {
   return undefined;
 };
 
+// Like pick(), but also reports which alias won (explain mode)
+const pickAlias = (obj, keys) => {
+  for (const k of keys) {
+    const v = obj?.[k];
+    if (v !== undefined && v !== null && v !== "") return { key: k, value: v };
+  }
+  return null;
+};
+
 const extractLocation = (raw) => {
   if (raw && typeof raw === "object") {
     return raw.id || raw.locationId || raw.location_id || raw._id || "";
@@ -105,33 +184,9 @@ const extractLocation = (raw) => {
   return s;
 };
 
-async function getJson(store, key, fallback = {}) {
-  try {
-    const raw = await store.get(key);
-    if (!raw) return fallback;
-    return JSON.parse(raw);
-  } catch {
-    return fallback;
-  }
-}
-
-async function setJson(store, key, obj) {
-  await store.set(key, JSON.stringify(obj));
-}
-
-// Keep small rolling indexes so dashboard stays fast
-const MAX_GLOBAL_INDEX = 1000;
-const MAX_LOC_INDEX = 1000;
-
-function pushIndex(arr, item, maxLen) {
-  const next = Array.isArray(arr) ? arr.slice() : [];
-  next.unshift(item); // newest first
-  if (next.length > maxLen) next.length = maxLen;
-  return next;
-}
-
 // Normalize GHL "customData[foo]" payload keys into top-level keys
-function normalizeGhlCustomData(body) {
+// `origins` (optional) records where each promoted key came from.
+function normalizeGhlCustomData(body, origins = null) {
   if (!body || typeof body !== "object") return body;
 
   // 1) Promote customData[foo] -> foo
@@ -139,20 +194,27 @@ function normalizeGhlCustomData(body) {
     const m = /^customData\[(.+?)\]$/.exec(k);
     if (m && m[1]) {
       const key = m[1].trim();
-      if (key && body[key] === undefined) body[key] = v;
+      if (key && body[key] === undefined) {
+        body[key] = v;
+        if (origins) origins[key] = k;
+      }
     }
   }
 
   // 2) Merge body.customData (if present) -> top-level
   if (body.customData && typeof body.customData === "object") {
     for (const [k, v] of Object.entries(body.customData)) {
-      if (body[k] === undefined) body[k] = v;
+      if (body[k] === undefined) {
+        body[k] = v;
+        if (origins) origins[k] = `customData.${k}`;
+      }
     }
   }
 
   return body;
 }
 
+// Returns { source, alias } where alias says which input decided it
 function getSource(req, body) {
   const h =
     req.headers.get("x-acx-source") ||
@@ -160,39 +222,59 @@ function getSource(req, body) {
     req.headers.get("X-Acx-Source") ||
     "";
   const headerSource = asString(h).trim().toLowerCase();
-  const bodySource = asString(pick(body, ["source"]) || "").trim().toLowerCase();
-  return headerSource || bodySource || "ghl";
-}
+  if (headerSource) return { source: headerSource, alias: "header:x-acx-source" };
 
-// ---------- main ----------
-export default async (req) => {
-  if (req.method === "OPTIONS") return json(200, { ok: true });
-  if (req.method !== "POST") return methodNotAllowed();
-  if (!checkAuth(req)) return unauthorized();
-
-  let body = {};
-  try {
-    body = await req.json();
-  } catch {
-    body = {};
-  }
+  const bodySource = asString(pick(body, ["source"]) || "").trim().toLowerCase();
+  if (bodySource) return { source: bodySource, alias: "source" };
 
-  body = normalizeGhlCustomData(body);
+  return { source: "ghl", alias: "default" };
+}
 
-  const ts = nowISO();
+// Optional header for callers that have no stable run_id
+function getIdempotencyKey(req) {
+  const h =
+    req.headers.get("idempotency-key") ||
+    req.headers.get("x-idempotency-key") ||
+    "";
+  return asString(h).trim().slice(0, 200);
+}
 
-  const store = getStore({
-    name: process.env.ACX_BLOBS_STORE || "acx-matrix",
-  });
+// ---------- normalization ----------
+// One raw payload -> stored event row + the summary fields its source may
+// write. Shared by single and batch ingest so both apply the same locks.
+// `actor` = { key_id, forwarded_by } from the auth check, stamped on the row.
+function buildEvent(req, rawBody, ts, registry, actor = {}) {
+  const origins = {};
+  const body = normalizeGhlCustomData(rawBody, origins);
+
+  // resolved[field] = { alias, raw, value, reason? } — explain mode only,
+  // but cheap enough to always build
+  const resolved = {};
+  const from = (field, keys) => {
+    const hit = pickAlias(body, keys);
+    resolved[field] = hit
+      ? { alias: origins[hit.key] || hit.key, raw: hit.value }
+      : { alias: null, raw: null };
+    return hit ? hit.value : undefined;
+  };
+  const noteNumber = (field, value) => {
+    resolved[field].value = value;
+    if (value === null) {
+      resolved[field].reason = resolved[field].alias ? "not_a_number" : "missing";
+    }
+    return value;
+  };
 
-  const account =
-    asString(pick(body, ["account", "acct"]) || "ACX").trim() || "ACX";
+  const account = asString(from("account", ["account", "acct"]) || "ACX").trim() || "ACX";
+  resolved.account.value = account;
 
   const location = extractLocation(
-    pick(body, ["location", "location_id", "locationId"])
+    from("location", ["location", "location_id", "locationId"])
   );
+  resolved.location.value = location || "";
 
-  const source = getSource(req, body);
+  const { source, alias: sourceAlias } = getSource(req, body);
+  resolved.source = { alias: sourceAlias, value: source };
 
   // Metrics overwrite protection: allow ingest + ingest_form to write summary metrics
   const allowMetricWrite = source === "ingest" || source === "ingest_form";
@@ -201,18 +283,23 @@ export default async (req) => {
   const allowIntegrityWrite = source === "sentinel";
 
   // Parse metrics (do NOT default to 0; null means "missing")
-  const uptimeIn = parseNumber(pick(body, ["uptime"]));
-  const conversionIn = parseNumber(pick(body, ["conversion", "conv"]));
-  const responseMsIn = parseNumber(pick(body, ["response_ms", "resp"]));
-  const quotesRecoveredIn = parseNumber(
-    pick(body, ["quotes_recovered", "quotes", "quotes_recove"])
-  );
+  // Every registry metric, built-ins first (see _lib/metrics.js)
+  const metricsIn = {};
+  for (const m of registry) {
+    metricsIn[m.name] = noteNumber(m.name, parseNumber(from(m.name, metricAliases(m))));
+  }
 
-  const integrityRaw = pick(body, ["acx_integrity", "integrity"]);
+  const integrityRaw = from("integrity", ["acx_integrity", "integrity"]);
   const integrityNorm = normalizeIntegrity(integrityRaw); // "" means missing
+  resolved.integrity.value = integrityNorm || "unknown";
+  if (!integrityNorm) {
+    resolved.integrity.reason = resolved.integrity.alias ? "not_in_enum" : "missing";
+  }
 
-  const run_id =
-    asString(pick(body, ["run_id", "runId"]) || "").trim() || `run-${Date.now()}`;
+  const runIdIn = asString(from("run_id", ["run_id", "runId"]) || "").trim();
+  const run_id = runIdIn || `run-${Date.now()}`;
+  resolved.run_id.value = run_id;
+  if (!runIdIn) resolved.run_id.reason = "generated";
 
   const event_name = asString(pick(body, ["event_name", "acx_event"]) || "")
     .trim()
@@ -234,19 +321,13 @@ export default async (req) => {
     .trim()
     .toString();
 
-  // ---- store event row ----
-  const eventKey = `event:${Date.now()}:${Math.random().toString(36).slice(2, 10)}`;
-
   // EMPIRE: store null for missing metrics (no fake zeros)
   const ev = {
     ts,
     account,
     location: location || "",
 
-    uptime: uptimeIn ?? null,
-    conversion: conversionIn ?? null,
-    response_ms: responseMsIn ?? null,
-    quotes_recovered: quotesRecoveredIn ?? null,
+    ...metricsIn,
 
     integrity: integrityNorm || "unknown",
     acx_integrity: integrityNorm || "unknown",
@@ -260,113 +341,443 @@ export default async (req) => {
     event_at,
     contact_id,
     opportunity_id,
+
+    key_id: actor.key_id || "",
+    ...(actor.forwarded_by ? { forwarded_by: actor.forwarded_by } : {}),
   };
 
-  await setJson(store, eventKey, ev);
+  // Only fields this source may overwrite go into the summary patch;
+  // everything else keeps its previous value when the patches are folded.
+  const fields = { last_seen: ts };
 
-  // ---- update global index ----
-  const globalIndexKey = `index:global`;
-  const globalIndex = await getJson(store, globalIndexKey, []);
-  const nextGlobalIndex = pushIndex(globalIndex, eventKey, MAX_GLOBAL_INDEX);
-  await setJson(store, globalIndexKey, nextGlobalIndex);
+  if (allowMetricWrite) {
+    for (const [name, value] of Object.entries(metricsIn)) {
+      if (value !== null) fields[name] = value;
+    }
+  }
 
-  // ---- update per-location index + summary ----
-  if (location) {
-    const locIndexKey = `index:loc:${account}:${location}`;
-    const locIndex = await getJson(store, locIndexKey, []);
-    const nextLocIndex = pushIndex(locIndex, eventKey, MAX_LOC_INDEX);
-    await setJson(store, locIndexKey, nextLocIndex);
-
-    const locSummaryKey = `loc:${account}:${location}`;
-    const prevSummary = await getJson(store, locSummaryKey, {});
-
-    const prevIntegrity = normalizeIntegrity(prevSummary?.integrity) || "";
-
-    // EMPIRE: only Sentinel may overwrite integrity
-    const finalIntegrity = allowIntegrityWrite
-      ? (integrityNorm || prevIntegrity || "")
-      : (prevIntegrity || "");
-
-    // Summary metrics: only overwrite when value is present (non-null)
-    const finalUptime = allowMetricWrite
-      ? (uptimeIn ?? prevSummary.uptime ?? 0)
-      : (prevSummary.uptime ?? 0);
-
-    const finalConversion = allowMetricWrite
-      ? (conversionIn ?? prevSummary.conversion ?? 0)
-      : (prevSummary.conversion ?? 0);
-
-    const finalResponseMs = allowMetricWrite
-      ? (responseMsIn ?? prevSummary.response_ms ?? 0)
-      : (prevSummary.response_ms ?? 0);
-
-    const finalQuotesRecovered = allowMetricWrite
-      ? (quotesRecoveredIn ?? prevSummary.quotes_recovered ?? 0)
-      : (prevSummary.quotes_recovered ?? 0);
-
-    const locSummary = {
-      location,
-      account,
-      last_seen: ts,
-
-      uptime: finalUptime,
-      conversion: finalConversion,
-      response_ms: finalResponseMs,
-      quotes_recovered: finalQuotesRecovered,
-
-      integrity: finalIntegrity || "unknown",
-    };
-
-    await setJson(store, locSummaryKey, locSummary);
-
-    // Maintain locations list for dashboard
-    const locListKey = `locations:${account}`;
-    const locList = await getJson(store, locListKey, []);
-    const nextLocList = Array.isArray(locList) ? locList.filter(Boolean) : [];
-
-    const item = {
-      location,
-      account,
-      last_seen: ts,
-      uptime: locSummary.uptime,
-      conversion: locSummary.conversion,
-      response_ms: locSummary.response_ms,
-      quotes_recovered: locSummary.quotes_recovered,
-      integrity: locSummary.integrity,
-    };
-
-    let replaced = false;
-    for (let i = 0; i < nextLocList.length; i++) {
-      if (
-        nextLocList[i]?.account === account &&
-        nextLocList[i]?.location === location
-      ) {
-        nextLocList[i] = item;
-        replaced = true;
+  // EMPIRE: only Sentinel may overwrite integrity
+  if (allowIntegrityWrite && integrityNorm) fields.integrity = integrityNorm;
+
+  return {
+    ev,
+    account,
+    location,
+    source,
+    scope: scopeForSource(source),
+    runIdIn,
+    allowMetricWrite,
+    allowIntegrityWrite,
+    fields,
+    resolved,
+  };
+}
+
+// Store one built event unless it repeats an earlier one.
+// Identity: (account, location, run_id, source), or the Idempotency-Key.
+// Generated run_ids are unique per request, so they never dedupe.
+function idempotencyIdentity(built, idemKey) {
+  const { account, location, source, runIdIn } = built;
+  if (idemKey) return ["idem", account, location || "", idemKey, source];
+  if (runIdIn) return ["run", account, location || "", runIdIn, source];
+  return null;
+}
+
+async function storeEvent(store, built, idemKey) {
+  const eventKey = newEventKey();
+  const identity = idempotencyIdentity(built, idemKey);
+
+  if (identity) {
+    const claim = await claimIdempotency(store, identity, eventKey);
+    if (claim.duplicate) return { duplicate: true, key: claim.key };
+  }
+
+  const { account, location } = built;
+  if (built.allowMetricWrite && location) {
+    const anomaly = await scoreEvent(store, { account, location, ev: built.ev }).catch((e) => {
+      console.error("MATRIX_ANOMALY_SCORE_FAILED", { account, location, error: e?.message || String(e) });
+      return null;
+    });
+    if (anomaly) built.ev.anomaly = anomaly;
+  }
+
+  try {
+    await appendEvent(store, built.ev, eventKey);
+  } catch (e) {
+    if (identity) await releaseIdempotencyClaim(store, identity, eventKey);
+    throw e;
+  }
+  const failed = [];
+  if (built.ev.anomaly) {
+    await sideEffect(failed, "anomalies", { account, location, key: eventKey }, () =>
+      recordAnomalies(store, { account, location, key: eventKey, ev: built.ev })
+    );
+  }
+  return { duplicate: false, key: eventKey, failed };
+}
+
+// Runs one post-store step; a failure is logged and its name pushed to
+// `failed` instead of failing the request (LOCKED 20)
+async function sideEffect(failed, step, ctx, fn) {
+  try {
+    return await fn();
+  } catch (e) {
+    failed.push(step);
+    console.error("MATRIX_SIDE_EFFECT_FAILED", { step, ...ctx, error: e?.message || String(e) });
+    return null;
+  }
+}
+
+const INTEGRITY_SEVERITY = { critical: "critical", degraded: "warning", ok: "ok" };
+
+// Summary patch + transition record when it changes integrity, then alerts
+// and outbound subscriptions.
+// `origin` is the event that carried the integrity: { key, source, run_id }
+// Never throws; returns the names of the steps that failed.
+async function patchLocation(store, patch, origin) {
+  const { account, location } = patch;
+  const ctx = { account, location, key: origin.key };
+  const failed = [];
+  const to = patch.fields?.integrity;
+
+  const before = to
+    ? await sideEffect(failed, "summary", ctx, () => readLocationSummary(store, account, location))
+    : null;
+  if (failed.length) return failed;
+
+  await sideEffect(failed, "summary", ctx, () => applyLocationPatch(store, patch));
+  if (failed.length) return failed;
+
+  if (to && before?.integrity !== to) {
+    await sideEffect(failed, "transition", ctx, () => recordTransition(store, patch, before, origin));
+  }
+
+  const { last_seen, integrity, ...metrics } = patch.fields || {};
+  if (Object.keys(metrics).length) {
+    await sideEffect(failed, "subscriptions", ctx, () =>
+      publishMatrixEvent(store, { type: "metric.ingested", account, location, data: { metrics, last_seen } })
+    );
+  }
+
+  await sideEffect(failed, "alerts", ctx, () => evaluateLocationAlerts(store, { account, location }));
+  return failed;
+}
+
+// Integrity changed: transition record, then queue subscriptions and chat
+// channels (never sent from here)
+async function recordTransition(store, patch, before, origin) {
+  const { account, location } = patch;
+  const transition = await recordIntegrityTransition(store, {
+    account,
+    location,
+    from: before?.integrity,
+    to: patch.fields.integrity,
+    ms: eventKeyMs(origin.key) ?? Date.now(),
+    source: origin.source,
+    run_id: origin.run_id,
+    key: origin.key,
+  });
+  await publishMatrixEvent(store, { type: "integrity.changed", account, location, data: transition });
+  await queueChannelNotification(store, {
+    type: "matrix.integrity_changed",
+    account,
+    severity: INTEGRITY_SEVERITY[transition.to] || "info",
+    title: `${location}: integrity ${transition.from} → ${transition.to}`,
+    fields: [
+      ["Location", location],
+      ["Source", transition.source],
+      ["Run", transition.run_id],
+      ["At", transition.at],
+    ],
+  });
+}
+
+// ---------- body parsing ----------
+// Single object -> { batch: false, body }
+// JSON array or NDJSON -> { batch: true, items: [{ body } | { error }] }
+const isPlainObject = (v) => !!v && typeof v === "object" && !Array.isArray(v);
+
+const toItem = (v) => (isPlainObject(v) ? { body: v } : { error: "not_an_object" });
+
+function parseNdjson(text) {
+  return String(text || "")
+    .split(/\r?\n/)
+    .filter((line) => line.trim())
+    .map((line) => {
+      try {
+        return toItem(JSON.parse(line));
+      } catch {
+        return { error: "invalid_json" };
       }
+    });
+}
+
+// `text` is the raw body (already read for signature verification)
+function readPayload(req, text) {
+  const ct = (req.headers.get("content-type") || "").toLowerCase();
+  if (ct.includes("ndjson") || ct.includes("jsonlines")) {
+    return { batch: true, items: parseNdjson(text) };
+  }
+
+  try {
+    const parsed = JSON.parse(text);
+    if (Array.isArray(parsed)) return { batch: true, items: parsed.map(toItem) };
+    return { batch: false, body: isPlainObject(parsed) ? parsed : {} };
+  } catch {
+    // NDJSON sent as application/json: several lines, first one parses
+    const lines = text.split(/\r?\n/).filter((l) => l.trim());
+    if (lines.length > 1 && !parseNdjson(lines[0])[0].error) {
+      return { batch: true, items: parseNdjson(text) };
     }
-    if (!replaced) nextLocList.unshift(item);
-
-    const seen = new Set();
-    const deduped = [];
-    for (const r of nextLocList) {
-      const k = `${r.account}:${r.location}`;
-      if (!seen.has(k)) {
-        seen.add(k);
-        deduped.push(r);
-      }
+    return { batch: false, body: {} };
+  }
+}
+
+const MAX_BATCH = 200;
+const BATCH_CONCURRENCY = 8;
+
+// ---------- explain (dry run) ----------
+// Same normalization as a real ingest, but nothing is persisted: reports the
+// alias each field came from, the write locks, and the summary it would make.
+function explainItem(built, duplicateOf) {
+  return {
+    event: built.ev,
+    resolved: built.resolved,
+    locks: {
+      source: built.source,
+      scope: built.scope,
+      key_id: built.ev.key_id,
+      allowMetricWrite: built.allowMetricWrite,
+      allowIntegrityWrite: built.allowIntegrityWrite,
+    },
+    summary_patch: built.location ? built.fields : null,
+    would_duplicate: !!duplicateOf,
+    duplicate_of: duplicateOf || null,
+  };
+}
+
+async function explainPayload(req, store, payload, registry, auth, actor) {
+  const ts = nowISO();
+  const idemKey = getIdempotencyKey(req);
+
+  const items = payload.batch ? payload.items : [{ body: payload.body }];
+  if (items.length > MAX_BATCH) {
+    return json(413, { ok: false, error: `Batch too large (max ${MAX_BATCH} events)` });
+  }
+
+  const built = items.map((item) =>
+    item.error ? null : buildEvent(req, item.body, ts, registry, actor)
+  );
+
+  const results = await mapLimit(items, BATCH_CONCURRENCY, async (item, index) => {
+    if (item.error) return { index, status: "rejected", reason: item.error };
+    const b = built[index];
+    if (!hasScope(auth, b.scope)) {
+      return { index, status: "rejected", reason: "missing_scope", ...explainItem(b, null) };
+    }
+    const key = payload.batch && idemKey ? `${idemKey}:${index}` : idemKey;
+    const identity = idempotencyIdentity(b, key);
+    const duplicateOf = identity ? await findIdempotencyClaim(store, identity) : null;
+    return { index, status: duplicateOf ? "duplicate" : "accepted", ...explainItem(b, duplicateOf) };
+  });
+
+  // Resulting summaries: one merged patch per location, like a real batch
+  const patches = new Map();
+  results.forEach((r, index) => {
+    const b = built[index];
+    if (r.status !== "accepted" || !b.location) return;
+    const k = `${b.account}\u0000${b.location}`;
+    const prev = patches.get(k);
+    patches.set(k, {
+      account: b.account,
+      location: b.location,
+      fields: { ...(prev?.fields || {}), ...b.fields },
+    });
+  });
+
+  const summaries = [];
+  for (const p of patches.values()) {
+    summaries.push({
+      account: p.account,
+      location: p.location,
+      ...(await previewLocationPatch(store, p)),
+    });
+  }
+
+  const base = {
+    ok: true,
+    explain: true,
+    persisted: false,
+    store: matrixStoreName(),
+    build: "webhook_snapshot_v11",
+  };
+
+  if (!payload.batch) {
+    const { index, ...one } = results[0];
+    const b = built[0];
+
+    // A duplicate (or rejected) item writes nothing: summary stays as it is
+    let summary = summaries[0] || null;
+    if (!summary && b?.location) {
+      const fields = {};
+      summary = {
+        account: b.account,
+        location: b.location,
+        ...(await previewLocationPatch(store, { account: b.account, location: b.location, fields })),
+      };
+    }
+
+    return json(200, { ...base, ...one, summary });
+  }
+
+  return json(200, { ...base, batch: true, results, summaries });
+}
+
+// ---------- batch ----------
+async function ingestBatch(req, store, items, registry, auth, actor) {
+  if (items.length > MAX_BATCH) {
+    return json(413, {
+      ok: false,
+      error: `Batch too large (max ${MAX_BATCH} events)`,
+      count: items.length,
+    });
+  }
+
+  const ts = nowISO();
+  const idemKey = getIdempotencyKey(req);
+
+  const built = items.map((item) =>
+    item.error ? null : buildEvent(req, item.body, ts, registry, actor)
+  );
+
+  const results = await mapLimit(items, BATCH_CONCURRENCY, async (item, index) => {
+    if (item.error) return { index, status: "rejected", reason: item.error };
+
+    const b = built[index];
+    if (!hasScope(auth, b.scope)) {
+      return { index, status: "rejected", reason: "missing_scope", scope: b.scope };
     }
+    try {
+      // Per-item Idempotency-Key so a retried batch dedupes item by item
+      const stored = await storeEvent(store, b, idemKey ? `${idemKey}:${index}` : "");
+      return {
+        index,
+        status: stored.duplicate ? "duplicate" : "accepted",
+        key: stored.key,
+        account: b.account,
+        location: b.location || "",
+        run_id: b.ev.run_id,
+        source: b.source,
+        failed: stored.failed,
+      };
+    } catch (e) {
+      return { index, status: "rejected", reason: "store_failed", error: e?.message || "error" };
+    }
+  });
+
+  // One summary patch per location, merged in batch order (later items win)
+  const patches = new Map();
+  results.forEach((r, index) => {
+    const b = built[index];
+    if (r.status !== "accepted" || !b.location) return;
+    const k = `${b.account}\u0000${b.location}`;
+    const prev = patches.get(k);
+    patches.set(k, {
+      account: b.account,
+      location: b.location,
+      fields: { ...(prev?.fields || {}), ...b.fields },
+      // the item whose integrity ends up in the patch
+      origin: b.fields.integrity ? { key: r.key, source: b.source, run_id: b.ev.run_id } : prev?.origin,
+    });
+  });
+
+  const failed = results.flatMap((r) => r.failed || []);
+  for (const { origin, ...p } of patches.values()) {
+    failed.push(...(await patchLocation(store, p, origin || {})));
+  }
+
+  const count = (status) => results.filter((r) => r.status === status).length;
+
+  return json(200, {
+    ok: true,
+    batch: true,
+    received: items.length,
+    accepted: count("accepted"),
+    duplicates: count("duplicate"),
+    rejected: count("rejected"),
+    locations_updated: patches.size,
+    results: results.map(({ failed: _f, ...r }) => r),
+    ...(failed.length ? { side_effects_failed: [...new Set(failed)] } : {}),
+    store: matrixStoreName(),
+    build: "webhook_snapshot_v11",
+  });
+}
 
-    await setJson(store, locListKey, deduped);
+// ---------- main ----------
+export default async (req) => {
+  if (req.method === "OPTIONS") return json(200, { ok: true });
+  if (req.method !== "POST") return methodNotAllowed();
+
+  let raw = "";
+  try {
+    raw = await req.text();
+  } catch {
+    raw = "";
+  }
+
+  const store = getMatrixStore();
+
+  // Authenticate here; the scope depends on each item's source
+  const auth = await authorize(req, null, { raw, store });
+  if (!auth.ok) return denied(auth.status, auth.reason);
+
+  const key_id = actingKeyId(req, auth);
+  const actor = { key_id, forwarded_by: key_id !== auth.keyId ? auth.keyId : "" };
+
+  const payload = readPayload(req, raw);
+
+  const registry = await loadMetricRegistry(store);
+
+  if (isExplain(req)) return explainPayload(req, store, payload, registry, auth, actor);
+  if (payload.batch) return ingestBatch(req, store, payload.items, registry, auth, actor);
+
+  const built = buildEvent(req, payload.body, nowISO(), registry, actor);
+  const { location, account, source, allowMetricWrite, fields } = built;
+
+  if (!hasScope(auth, built.scope)) return denied(403, "missing_scope", built.scope);
+
+  // ---- store event row + index shards (append-only) ----
+  const stored = await storeEvent(store, built, getIdempotencyKey(req));
+  if (stored.duplicate) {
+    return json(200, {
+      ok: true,
+      stored: false,
+      duplicate: true,
+      key: stored.key,
+      store: matrixStoreName(),
+      source,
+      build: "webhook_snapshot_v11",
+    });
+  }
+
+  // ---- per-location summary patch (never throws, LOCKED 20) ----
+  const failed = [...stored.failed];
+  if (location) {
+    const origin = { key: stored.key, source, run_id: built.ev.run_id };
+    failed.push(...(await patchLocation(store, { account, location, fields }, origin)));
   }
 
   return json(200, {
     ok: true,
     stored: true,
-    key: eventKey,
-    store: process.env.ACX_BLOBS_STORE || "acx-matrix",
+    key: stored.key,
+    store: matrixStoreName(),
     allowMetricWrite,
+    duplicate: false,
     source,
-    build: "webhook_empire_nulls_v2",
+    key_id,
+    anomaly: built.ev.anomaly || null,
+    ...(failed.length ? { side_effects_failed: [...new Set(failed)] } : {}),
+    build: "webhook_snapshot_v11",
   });
 };
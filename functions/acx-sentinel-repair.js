@@ -5,17 +5,25 @@
 // - Sends ACX house-style repair email via Mailgun
 // - Uses per-inbox reconnect buttons for clear mobile UX
 // - Optionally updates GHL contact custom fields
+// - Posts "repair sent" to the account's chat channels (_lib/channels.js)
 
 const crypto = require("crypto");
 const { getStore } = require("@netlify/blobs");
 
+// Mailgun sending + house-style footer are shared with the Matrix alerts
+// and SLA statements (see _lib/email.js)
+const {
+  sendMailgunEmail,
+  escapeHtml,
+  normalizeEmail,
+  footerBarHtml,
+  FOOTER_LABEL,
+} = require("./_lib/email.js");
+const { notifyChannels } = require("./_lib/channels.js");
+
 const JSON_HEADERS = { "Content-Type": "application/json" };
 const GHL_BASE = "https://services.leadconnectorhq.com";
 const BLOBS_STORE_NAME = process.env.ACX_BLOBS_STORE || "acx-sentinel";
-const FROM_EMAIL = "Automated Clarity <no-reply@mg.automatedclarity.com>";
-
-const LOGO_URL = "https://notify.automatedclarity.com/assets/acx-logo-dark.png?v=5";
-const FOOTER_LABEL = "Automated Clarity™ Monitoring";
 
 function json(statusCode, body) {
   return {
@@ -30,19 +38,6 @@ function safeTrunc(s, n) {
   return s.length > n ? s.slice(0, n) + "…" : s;
 }
 
-function base64(s) {
-  return Buffer.from(String(s), "utf8").toString("base64");
-}
-
-function escapeHtml(str) {
-  return String(str || "")
-    .replace(/&/g, "&amp;")
-    .replace(/</g, "&lt;")
-    .replace(/>/g, "&gt;")
-    .replace(/"/g, "&quot;")
-    .replace(/'/g, "&#39;");
-}
-
 function parseMaybeJson(value, fallback) {
   if (!value) return fallback;
   if (typeof value === "object") return value;
@@ -78,11 +73,6 @@ function toInt(value, fallback = 0) {
   return Number.isFinite(n) ? n : fallback;
 }
 
-function normalizeEmail(value) {
-  const email = String(value || "").trim().toLowerCase();
-  return /^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(email) ? email : "";
-}
-
 function maskEmail(email) {
   const clean = normalizeEmail(email);
   if (!clean) return "";
@@ -99,25 +89,6 @@ function severityColorFromStatus(status) {
   return "#2563eb";
 }
 
-function footerBarHtml() {
-  return `
-    <table role="presentation" width="100%" cellspacing="0" cellpadding="0"
-      style="margin-top:14px; border-collapse:collapse; background:#0b1220; border-radius:10px;">
-      <tr>
-        <td style="padding:14px 16px; vertical-align:middle;">
-          <img src="${escapeHtml(LOGO_URL)}"
-               alt="Automated Clarity"
-               width="140"
-               style="display:block; border:0; outline:none; text-decoration:none; height:auto;" />
-        </td>
-        <td style="padding:14px 16px; vertical-align:middle; text-align:right; color:#9ca3af; font-size:12px; letter-spacing:.2px;">
-          ${escapeHtml(FOOTER_LABEL)}
-        </td>
-      </tr>
-    </table>
-  `.trim();
-}
-
 function buildInboxList(body, fallbackEmail) {
   const parsed =
     parseMaybeJson(body.inboxes, null) ||
@@ -436,39 +407,6 @@ function buildRepairEmailText({ record, statusLine }) {
   ].join("\n");
 }
 
-async function sendMailgunEmail({ to, subject, html, text }) {
-  const apiKey = process.env.MAILGUN_API_KEY;
-  const domain = process.env.MAILGUN_DOMAIN;
-
-  if (!apiKey) throw new Error("Missing MAILGUN_API_KEY");
-  if (!domain) throw new Error("Missing MAILGUN_DOMAIN");
-  if (!normalizeEmail(to)) throw new Error("Missing or invalid recipient email");
-
-  const form = new URLSearchParams();
-  form.set("from", FROM_EMAIL);
-  form.set("to", to);
-  form.set("subject", subject);
-  form.set("text", text);
-  form.set("html", html);
-
-  const mgRes = await fetch(`https://api.mailgun.net/v3/${domain}/messages`, {
-    method: "POST",
-    headers: {
-      Authorization: "Basic " + base64(`api:${apiKey}`),
-      "Content-Type": "application/x-www-form-urlencoded",
-    },
-    body: form.toString(),
-  });
-
-  const mgText = await mgRes.text();
-
-  if (!mgRes.ok) {
-    throw new Error(`Mailgun send failed: ${mgRes.status} ${safeTrunc(mgText, 1200)}`);
-  }
-
-  return mgText;
-}
-
 async function updateGhlContactIfConfigured({ record }) {
   const token = firstNonEmpty(process.env.GHL_SENTINEL_TOKEN);
   if (!token || !record.contact_id) return { skipped: true };
@@ -569,6 +507,20 @@ exports.handler = async (event) => {
 
     const ghlUpdate = await updateGhlContactIfConfigured({ record });
 
+    const chat = await notifyChannels({
+      type: "sentinel.repair_sent",
+      account: firstNonEmpty(body.account, "ACX"),
+      severity: record.sentinel_status === "critical" ? "critical" : "warning",
+      title: `Repair email sent${record.company_name ? ` to ${record.company_name}` : ""}`,
+      text: `${Array.isArray(record.inboxes) ? record.inboxes.length : 0} inbox(es) need reconnecting.`,
+      fields: [
+        ["Incident", record.incident_id],
+        ["Sent to", maskEmail(record.notify_email)],
+        ["Status", `${record.sentinel_status} / ${record.grant_status}`],
+        ["Location", record.location_id],
+      ],
+    });
+
     console.log("ACX_SENTINEL_REPAIR_SENT", {
       contact_id: record.contact_id,
       sent_to: record.notify_email,
@@ -578,6 +530,7 @@ exports.handler = async (event) => {
       incident_id: record.incident_id,
       inbox_count: Array.isArray(record.inboxes) ? record.inboxes.length : 0,
       ghl_update: ghlUpdate,
+      chat_channels: chat.sent,
     });
 
     return json(200, {
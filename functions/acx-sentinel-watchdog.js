@@ -4,6 +4,7 @@
 // + Recovery detection
 // + Incident confirmation after healthy revalidation
 // + Manual Blobs config
+// + Chat channels (_lib/channels.js): first critical of a streak, incident confirmed
 // + ZERO architecture drift
 
 let getStore = null;
@@ -13,10 +14,14 @@ try {
   getStore = null;
 }
 
+const { notifyChannels } = require("./_lib/channels.js");
+const { functionUrl, internalFetch } = require("./_lib/config.js");
+
+// Watchdog posts carry no account; acx-sentinel-webhook files them under ACX
+const SENTINEL_ACCOUNT = "ACX";
+
 const DEFAULT_API_BASE = "https://services.leadconnectorhq.com";
 const DEFAULT_API_VERSION = "2021-07-28";
-const DEFAULT_SENTINEL_URL =
-  "https://console.automatedclarity.com/.netlify/functions/acx-sentinel-webhook";
 
 // -------------------- ENV --------------------
 function getEnv(name, required = false) {
@@ -142,10 +147,13 @@ async function ghlRequest(path) {
   return httpJson("GET", `${base}${path}`, buildHeaders(token));
 }
 
+// Default: this deploy's acx-sentinel-webhook (_lib/config.js), in-process
+// when ACX_INTERNAL_CALLS=inprocess
 async function postSentinel(payload) {
-  const url = getEnv("ACX_SENTINEL_WEBHOOK_URL") || DEFAULT_SENTINEL_URL;
+  const url = getEnv("ACX_SENTINEL_WEBHOOK_URL") || functionUrl("acx-sentinel-webhook");
+  if (!url) throw new Error("No public base URL for acx-sentinel-webhook (set ACX_PUBLIC_BASE_URL)");
 
-  const res = await fetch(url, {
+  const res = await internalFetch(url, {
     method: "POST",
     headers: {
       "Content-Type": "application/json",
@@ -278,6 +286,20 @@ async function confirmRecoveredIncidentsForContact({
         confirmed_at: nextIncident.confirmed_at,
       });
 
+      await notifyChannels({
+        type: "sentinel.incident_confirmed",
+        account: SENTINEL_ACCOUNT,
+        severity: "ok",
+        title: `Incident confirmed resolved${nextIncident.company_name ? ` for ${nextIncident.company_name}` : ""}`,
+        text: "Every inbox on the incident is connected again.",
+        fields: [
+          ["Incident", nextIncident.incident_id],
+          ["Contact", nextIncident.contact_id],
+          ["Location", nextIncident.location_id],
+          ["Confirmed at", nextIncident.confirmed_at],
+        ],
+      });
+
       confirmedCount += 1;
     }
 
@@ -377,6 +399,23 @@ exports.handler = async () => {
 
         await appendSentinelEvent(eventRecord);
         await postSentinel(eventRecord);
+
+        // Only the first failing run of a streak, not every 5 minutes
+        if (fail && prevFail === 0) {
+          await notifyChannels({
+            type: "sentinel.watchdog_critical",
+            account: SENTINEL_ACCOUNT,
+            severity: "critical",
+            title: `Sentinel critical: ${reason.replace(/_/g, " ")}`,
+            fields: [
+              ["Contact", contactId],
+              ["Location", locationId],
+              ["Grant", grantStatus],
+              ["Last event", lastEventAt || "never"],
+              ["Max gap", `${maxGapMinutes} min`],
+            ],
+          });
+        }
       } catch (innerErr) {
         console.error("WATCHDOG_CONTACT_ERROR", innerErr.message);
       }
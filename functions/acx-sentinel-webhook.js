@@ -2,13 +2,22 @@
 // ACX Sentinel — Contact Writeback (Production Safe)
 // + Matrix Integrity POST
 // + manual Blobs config
+// ESM `export default async (req)` like the Matrix functions, so the watchdog
+// can call it in-process too (_lib/config.js internalFetch)
 
-let getStore = null;
-try {
-  ({ getStore } = require("@netlify/blobs"));
-} catch (_) {
-  getStore = null;
-}
+import { getStore } from "@netlify/blobs";
+
+// Matrix forwards are HMAC-signed (see _lib/signature.js) and dead-lettered
+// for a scheduled retry when the Matrix is unreachable (see _lib/forward.js)
+import { hasSigningKey } from "./_lib/signature.js";
+import { forwardSigned } from "./_lib/forward.js";
+import { functionUrl } from "./_lib/config.js";
+
+const json = (obj, status = 200) =>
+  new Response(JSON.stringify(obj), {
+    status,
+    headers: { "Content-Type": "application/json" },
+  });
 
 function normalizeKey(s) {
   return String(s || "")
@@ -82,8 +91,6 @@ function isFailureEvent(payload, failStreak) {
 }
 
 async function appendSentinelEvent(event) {
-  if (!getStore) return false;
-
   try {
     const store = getStore({
       name: "acx-sentinel",
@@ -109,20 +116,25 @@ async function appendSentinelEvent(event) {
   }
 }
 
-async function postMatrixIntegrity({ account, location, integrity, run_id }) {
+function requestOrigin(req) {
   try {
-    const secret = (process.env.ACX_SECRET || "").trim();
-    if (!secret) return;
+    return new URL(req.url).origin;
+  } catch {
+    return "";
+  }
+}
 
-    const url =
-      "https://console.automatedclarity.com/.netlify/functions/acx-matrix-ingest-integrity";
+// This deploy's ingest-integrity (_lib/config.js), so previews never post to production
+async function postMatrixIntegrity({ account, location, integrity, run_id }, origin) {
+  try {
+    if (!hasSigningKey()) return;
 
-    await fetch(url, {
-      method: "POST",
-      headers: {
-        "Content-Type": "application/json",
-        "x-acx-secret": secret,
-      },
+    const url = functionUrl("acx-matrix-ingest-integrity", { origin });
+
+    await forwardSigned({
+      kind: "sentinel-webhook",
+      url,
+      headers: { "Content-Type": "application/json" },
       body: JSON.stringify({ account, location, integrity, run_id }),
     });
   } catch (e) {
@@ -132,38 +144,26 @@ async function postMatrixIntegrity({ account, location, integrity, run_id }) {
   }
 }
 
-exports.handler = async (event) => {
+export default async (req) => {
   try {
     const defaultLocationId = getEnv("GHL_LOCATION_ID") || "";
 
-    const rawBody = event.body || "";
+    const rawBody = (await req.text().catch(() => "")) || "";
     const parsed = safeJsonParse(rawBody);
     if (!parsed.ok || !parsed.value) {
-      return {
-        statusCode: 400,
-        headers: { "Content-Type": "application/json" },
-        body: JSON.stringify({ ok: false, error: "Invalid JSON body" }),
-      };
+      return json({ ok: false, error: "Invalid JSON body" }, 400);
     }
 
     const payload = parsed.value;
 
     const contactId = pickFirst(payload, ["contact_id"]);
     if (!contactId) {
-      return {
-        statusCode: 400,
-        headers: { "Content-Type": "application/json" },
-        body: JSON.stringify({ ok: false, error: "Missing contact_id" }),
-      };
+      return json({ ok: false, error: "Missing contact_id" }, 400);
     }
 
     const locationId = pickFirst(payload, ["location_id"]) || defaultLocationId;
     if (!locationId) {
-      return {
-        statusCode: 400,
-        headers: { "Content-Type": "application/json" },
-        body: JSON.stringify({ ok: false, error: "Missing locationId" }),
-      };
+      return json({ ok: false, error: "Missing locationId" }, 400);
     }
 
     const startedISO = toStartedAtISO(payload);
@@ -202,19 +202,15 @@ exports.handler = async (event) => {
       location: String(locationId),
       integrity,
       run_id: runId,
-    });
+    }, requestOrigin(req));
 
-    return {
-      statusCode: 200,
-      headers: { "Content-Type": "application/json" },
-      body: JSON.stringify({
-        ok: true,
-        locationId,
-        contactId,
-        integrity,
-        runId,
-      }),
-    };
+    return json({
+      ok: true,
+      locationId,
+      contactId,
+      integrity,
+      runId,
+    });
   } catch (err) {
     console.error("SENTINEL_WEBHOOK_FATAL", {
       error: err?.message || "Unknown error",
@@ -222,13 +218,12 @@ exports.handler = async (event) => {
       status: err?.status || null,
     });
 
-    return {
-      statusCode: 500,
-      headers: { "Content-Type": "application/json" },
-      body: JSON.stringify({
+    return json(
+      {
         ok: false,
         error: err?.message || "Unknown error",
-      }),
-    };
+      },
+      500
+    );
   }
 };
@@ -1,5 +1,11 @@
 // functions/acx_ingest_repull_v1.js
-import { checkAuth, unauthorized, methodNotAllowed } from "./_lib/auth.js";
+// Callers need the `repull` scope: an API key, or a signed / legacy-flagged
+// signing key (see _lib/api-keys.js, _lib/signature.js)
+import { methodNotAllowed } from "./_lib/auth.js";
+import { hasSigningKey } from "./_lib/signature.js";
+import { forwardSigned } from "./_lib/forward.js";
+import { functionUrl } from "./_lib/config.js";
+import { authorize, actingKeyId, ON_BEHALF_HEADER } from "./_lib/api-keys.js";
 
 const json = (status, obj) =>
   new Response(JSON.stringify(obj, null, 2), {
@@ -25,36 +31,59 @@ const toDateOnly = (d = new Date()) => {
   return `${yyyy}-${mm}-${dd}`;
 };
 
-// NEW: post integrity to Matrix (secret header)
-async function postMatrixIntegrity({ account, location, integrity, run_id }) {
+// NEW: post integrity to Matrix (signed; dead-lettered + retried on failure)
+// (this deploy's ingest-integrity, never a hard-coded domain: see _lib/config.js)
+// Returns { posted, queued, dead_letter, upstream_status, error }: posted only
+// when ingest-integrity answered 2xx, queued when a retry is scheduled
+async function postMatrixIntegrity({ account, location, integrity, run_id }, onBehalfOf, origin) {
+  const notPosted = (error) => ({ posted: false, queued: false, dead_letter: null, upstream_status: 0, error });
   try {
-    const secret = (process.env.ACX_WEBHOOK_SECRET || "").trim();
-    if (!secret) return;
+    if (!hasSigningKey()) return notPosted("Server missing ACX secret env var");
 
-    const url =
-      "https://console.automatedclarity.com/.netlify/functions/acx-matrix-ingest-integrity";
+    const url = functionUrl("acx-matrix-ingest-integrity", { origin });
 
-    await fetch(url, {
-      method: "POST",
+    const res = await forwardSigned({
+      kind: "repull",
+      url,
       headers: {
         "Content-Type": "application/json",
-        "x-acx-secret": secret,
+        [ON_BEHALF_HEADER]: onBehalfOf,
       },
       body: JSON.stringify({ account, location, integrity, run_id }),
     });
+    const posted = res.status >= 200 && res.status < 300;
+    return {
+      posted,
+      queued: !!res.dead_letter && !res.permanent,
+      dead_letter: res.dead_letter,
+      upstream_status: res.status,
+      error: posted ? null : res.error || null,
+    };
   } catch (e) {
     // never break ingest because Matrix is down
     console.error("MATRIX_POST_FAILED", e);
+    return notPosted(e?.message || String(e));
   }
 }
 
 export default async (req) => {
   if (req.method !== "POST") return methodNotAllowed();
-  if (!checkAuth(req)) return unauthorized();
+
+  const raw = await req.text().catch(() => "");
+
+  const auth = await authorize(req, "repull", { raw });
+  if (!auth.ok) {
+    return json(auth.status, {
+      ok: false,
+      error: "Unauthorized",
+      reason: auth.reason,
+      scope: auth.scope,
+    });
+  }
 
   let body = {};
   try {
-    body = await req.json();
+    body = JSON.parse(raw);
   } catch {}
 
   const contactId =
@@ -202,12 +231,12 @@ export default async (req) => {
   const fs = Number(failStreak || 0);
   const integrity = fs >= 3 ? "critical" : fs > 0 ? "degraded" : "optimal";
 
-  await postMatrixIntegrity({
+  const matrix = await postMatrixIntegrity({
     account: String(body.account || "ACX"),
     location: String(locationId),
     integrity,
     run_id: String(runId || `run_REPULL_${Date.now()}`),
-  });
+  }, actingKeyId(req, auth), new URL(req.url).origin);
 
   return json(200, {
     ok: true,
@@ -217,6 +246,6 @@ export default async (req) => {
     started_at_str: startedAtStr,
     wrote_count: customField.length,
     wrote_field_ids: customField.map((x) => x.id),
-    matrix: { posted: true, integrity },
+    matrix: { ...matrix, integrity },
   });
 };